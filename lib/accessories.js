@@ -0,0 +1,187 @@
+// Fastener and accessory estimates for a panel and trim item list
+//
+// Screws are counted per panel from the profile's screw pattern at every
+// purlin, plus stitch screws along side laps and trim. Closures go at the
+// eave (inside) and under ridge and high-side trim (outside), with butyl
+// tape on both faces. Accessories are matched to Paradigm inventory rows by
+// keywords (and color for screws and sealant) and priced from their cost
+// with the price list's default rule.
+const { decodeProductId, getColorName } = require('./products');
+const { PANEL_PROFILES } = require('./panel-profiles');
+const { PARADIGM_COST_FIELDS } = require('./costs');
+const { priceForFamily } = require('./pricing');
+
+const DEFAULT_PURLIN_SPACING = 24; // inches
+const STITCH_SPACING = 24; // inches between stitch screws on a side lap
+const TRIM_SCREW_SPACING = 12; // inches along trim
+const CLOSURE_LENGTH = 3; // feet per closure strip, one panel width
+const SEALANT_FEET_PER_TUBE = 30; // linear feet of trim lap per tube
+
+const ACCESSORIES = {
+    panelScrew: { description: 'Panel screw #10 x 1"', keywords: ['screw'], exclude: ['stitch'], colored: true, packSize: 250, unit: 'bag' },
+    stitchScrew: { description: 'Stitch screw #14 x 7/8"', keywords: ['stitch'], colored: true, packSize: 250, unit: 'bag' },
+    insideClosure: { description: 'Inside foam closure', keywords: ['inside', 'closure'], packSize: 1, unit: 'each' },
+    outsideClosure: { description: 'Outside foam closure', keywords: ['outside', 'closure'], packSize: 1, unit: 'each' },
+    butylTape: { description: 'Butyl tape sealant 1" x 45\'', keywords: ['butyl'], packSize: 45, unit: 'roll' },
+    sealant: { description: 'Tube sealant', keywords: ['sealant'], colored: true, packSize: 1, unit: 'tube' }
+};
+
+// Field screws for one panel: the profile's pattern at every purlin
+function panelScrews(spec, lengthFeet, purlinSpacing = DEFAULT_PURLIN_SPACING) {
+    return (Math.ceil((lengthFeet * 12) / purlinSpacing - 1e-9) + 1) * spec.screwsPerPurlin;
+}
+
+function trimScrews(feet) {
+    return Math.ceil((feet * 12) / TRIM_SCREW_SPACING - 1e-9);
+}
+
+function isPanel(item, coilWidth) {
+    const decoded = decodeProductId(item.productId);
+    return decoded ? decoded.family === 'panel' : Number(item.width) >= coilWidth;
+}
+
+// Trim that sits over panel ends and needs outside closures under it
+function needsOutsideClosure(item) {
+    const id = String(item.profileId || item.productId || '').toUpperCase();
+    return id.startsWith('RIDGE') || id.startsWith('HIGH-SIDE');
+}
+
+function matchesAccessory(accessory, row) {
+    const text = `${row.StrProductID || ''} ${row.StrDescription || ''}`.toLowerCase();
+    return accessory.keywords.every(keyword => text.includes(keyword)) &&
+        !(accessory.exclude || []).some(keyword => text.includes(keyword));
+}
+
+// Whether an inventory row is one of the accessories estimated here
+function isAccessoryRow(row) {
+    return Object.values(ACCESSORIES).some(accessory => matchesAccessory(accessory, row));
+}
+
+// Find the inventory row for an accessory, in the item's color for colored
+// accessories. Returns null if nothing matches.
+function matchInventory(accessory, colorCode, inventory) {
+    const candidates = inventory.filter(row => matchesAccessory(accessory, row));
+    if (!accessory.colored || !colorCode) {
+        return candidates[0] || null;
+    }
+    const colorName = getColorName(colorCode).toLowerCase();
+    return candidates.find(row => String(row.StrProductID || '').toUpperCase().endsWith(colorCode)) ||
+        candidates.find(row => String(row.StrDescription || '').toLowerCase().includes(colorName)) ||
+        null;
+}
+
+function colorCodeOf(item) {
+    const decoded = decodeProductId(item.productId);
+    return decoded && decoded.colorCode ? decoded.colorCode : null;
+}
+
+// Estimate accessories for optimizer items, priced from inventory rows
+function estimateAccessories(items, {
+    purlinSpacing = DEFAULT_PURLIN_SPACING,
+    coilWidth = 43.875,
+    inventory = [],
+    priceList
+}) {
+    // Quantities by accessory and color
+    const needs = new Map();
+    const add = (accessory, colorCode, quantity) => {
+        const key = `${accessory}|${colorCode || ''}`;
+        needs.set(key, (needs.get(key) || 0) + quantity);
+    };
+
+    let panelCount = 0;
+    let closureFeet = 0;
+    const trimFeet = new Map(); // by color, sealant comes in the trim's color
+    items.forEach(item => {
+        const quantity = Number(item.quantity);
+        const length = Number(item.length);
+        const colorCode = colorCodeOf(item);
+
+        if (isPanel(item, coilWidth)) {
+            const decoded = decodeProductId(item.productId);
+            const spec = PANEL_PROFILES[decoded && decoded.profile] || PANEL_PROFILES.A8;
+            panelCount += quantity;
+            add('panelScrew', colorCode, quantity * panelScrews(spec, length, purlinSpacing));
+            add('stitchScrew', colorCode, quantity * Math.ceil((length * 12) / STITCH_SPACING - 1e-9));
+            add('insideClosure', null, quantity);
+            closureFeet += quantity * CLOSURE_LENGTH;
+            return;
+        }
+
+        trimFeet.set(colorCode, (trimFeet.get(colorCode) || 0) + quantity * length);
+        add('stitchScrew', colorCode, quantity * trimScrews(length));
+        if (needsOutsideClosure(item)) {
+            // Closures on both sides of a ridge, one side of a high side
+            const sides = String(item.profileId || item.productId).toUpperCase().startsWith('RIDGE') ? 2 : 1;
+            const closures = Math.ceil((quantity * length * sides) / CLOSURE_LENGTH - 1e-9);
+            add('outsideClosure', null, closures);
+            closureFeet += closures * CLOSURE_LENGTH;
+        }
+    });
+
+    if (closureFeet > 0) {
+        add('butylTape', null, closureFeet * 2);
+    }
+    trimFeet.forEach((feet, colorCode) => {
+        add('sealant', colorCode, Math.ceil(feet / SEALANT_FEET_PER_TUBE - 1e-9));
+    });
+
+    let totalCost = 0;
+    let sellPrice = 0;
+    const unpriced = [];
+    const lines = [...needs.entries()].map(([key, quantity]) => {
+        const [name, colorCode] = key.split('|');
+        const accessory = ACCESSORIES[name];
+        const packs = Math.ceil(quantity / accessory.packSize - 1e-9);
+        const row = matchInventory(accessory, colorCode || null, inventory);
+        const costField = row && PARADIGM_COST_FIELDS.find(field => Number(row[field]) > 0);
+
+        const line = {
+            accessory: name,
+            description: accessory.description,
+            colorCode: colorCode || null,
+            quantity: Math.ceil(quantity),
+            unit: accessory.unit,
+            packSize: accessory.packSize,
+            packs,
+            sku: row ? row.StrProductID : null,
+            unitCost: null,
+            cost: null,
+            unitPrice: null,
+            extendedPrice: null
+        };
+        if (costField) {
+            const cost = packs * Number(row[costField]);
+            const { price } = priceForFamily(priceList, 'default', cost);
+            line.unitCost = Number(row[costField]).toFixed(2);
+            line.cost = cost.toFixed(2);
+            line.unitPrice = (price / packs).toFixed(2);
+            line.extendedPrice = price.toFixed(2);
+            totalCost += cost;
+            sellPrice += price;
+        } else {
+            unpriced.push(`${name}${colorCode ? ` (${colorCode})` : ''}`);
+        }
+        return line;
+    });
+
+    return {
+        purlinSpacing: Number(purlinSpacing),
+        panels: panelCount,
+        lines,
+        totals: {
+            cost: totalCost.toFixed(2),
+            sellPrice: sellPrice.toFixed(2),
+            unpriced
+        }
+    };
+}
+
+module.exports = {
+    ACCESSORIES,
+    DEFAULT_PURLIN_SPACING,
+    panelScrews,
+    trimScrews,
+    isAccessoryRow,
+    estimateAccessories
+};
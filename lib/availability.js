@@ -0,0 +1,126 @@
+// Coil availability against Paradigm inventory, with substitutes for shortages
+//
+// On-hand quantities come from the inventory rows of coil SKUs. Rows kept in
+// pounds are converted to linear feet from the coil's gauge and width.
+// Available is on hand less the feet reserved for other jobs.
+const { BUSINESS_CONFIG, PRODUCT_CATEGORIES } = require('./config');
+const { decodeProductId, coilBaseCode } = require('./products');
+const { feetFromWeight } = require('./conversions');
+const { firstField } = require('./cutlist');
+
+// Paradigm inventory fields, first one present wins
+const ON_HAND_FIELDS = ['DecQuantityOnHand', 'DecQtyOnHand', 'DecOnHand', 'IntQuantityOnHand', 'DecQuantity'];
+const UOM_FIELDS = ['StrUnitOfMeasure', 'StrUOM', 'StrUnit'];
+
+// Colors close enough to offer in place of each other
+const COLOR_EQUIVALENTS = [
+    ['AW', 'ARW', 'BW'],
+    ['BR', 'BUR', 'BER'],
+    ['OB', 'GB'],
+    ['CH', 'BS']
+];
+
+// Linear feet on hand in one inventory row, or null if it isn't a coil
+function rowFeet(row) {
+    const decoded = decodeProductId(row.StrProductID);
+    if (!decoded || decoded.family !== 'coil' || !decoded.colorCode) {
+        return null;
+    }
+    const quantity = Number(firstField(row, ON_HAND_FIELDS)) || 0;
+    const uom = String(firstField(row, UOM_FIELDS) || 'FT').toUpperCase();
+    const feet = uom.startsWith('LB') ? feetFromWeight(decoded.productId, quantity) : quantity;
+    return { sku: decoded.productId, feet: Math.max(0, feet) };
+}
+
+// On hand, reserved and available feet per coil SKU. `reserved` maps SKU
+// to reserved feet.
+function buildStockIndex(inventory, reserved = new Map()) {
+    const onHand = new Map();
+    inventory.forEach(row => {
+        const coil = rowFeet(row);
+        if (coil) {
+            onHand.set(coil.sku, (onHand.get(coil.sku) || 0) + coil.feet);
+        }
+    });
+
+    const stock = new Map();
+    new Set([...onHand.keys(), ...reserved.keys()]).forEach(sku => {
+        const onHandFeet = onHand.get(sku) || 0;
+        const reservedFeet = reserved.get(sku) || 0;
+        stock.set(sku, {
+            onHandFeet: Number(onHandFeet.toFixed(2)),
+            reservedFeet: Number(reservedFeet.toFixed(2)),
+            availableFeet: Number(Math.max(0, onHandFeet - reservedFeet).toFixed(2))
+        });
+    });
+    return stock;
+}
+
+const NO_STOCK = { onHandFeet: 0, reservedFeet: 0, availableFeet: 0 };
+
+function equivalentColors(colorCode) {
+    const group = COLOR_EQUIVALENTS.find(codes => codes.includes(colorCode));
+    return group ? group.filter(code => code !== colorCode) : [];
+}
+
+// Check one optimized color/gauge group against stock. `feetOnWidth(width)`
+// gives the feet (with scrap) the group would need on another coil width.
+function checkGroupAvailability(group, stock, { coilWidth, feetOnWidth }) {
+    const decoded = decodeProductId(group.recommendedCoil);
+    const neededFeet = group.totalLinearFeet;
+    const { onHandFeet, reservedFeet, availableFeet } = stock.get(group.recommendedCoil) || NO_STOCK;
+    const shortfallFeet = Math.max(0, neededFeet - availableFeet);
+
+    const availability = {
+        sku: group.recommendedCoil,
+        neededFeet: Number(neededFeet.toFixed(2)),
+        onHandFeet,
+        reservedFeet,
+        availableFeet,
+        shortfallFeet: Number(shortfallFeet.toFixed(2)),
+        status: shortfallFeet === 0 ? 'available' : (availableFeet > 0 ? 'short' : 'out of stock'),
+        substitutes: []
+    };
+    if (shortfallFeet === 0 || !decoded || !decoded.colorCode) {
+        return availability;
+    }
+
+    const offer = (type, width, colorCode, feet) => {
+        const baseCode = coilBaseCode(width, group.gauge);
+        const sku = `${baseCode}${colorCode}`;
+        const available = (stock.get(sku) || NO_STOCK).availableFeet;
+        if (available <= 0) {
+            return;
+        }
+        availability.substitutes.push({
+            type,
+            sku,
+            color: decodeProductId(sku).colorName,
+            coilWidth: width,
+            stocked: PRODUCT_CATEGORIES.coils.includes(baseCode),
+            neededFeet: Number(feet.toFixed(2)),
+            availableFeet: available,
+            coversJob: available >= feet
+        });
+    };
+
+    // Same color on another width, if every piece fits on it
+    BUSINESS_CONFIG.coilWidths
+        .filter(width => width !== coilWidth && group.items.every(item => Number(item.width) <= width))
+        .forEach(width => offer('width', width, decoded.colorCode, feetOnWidth(width)));
+
+    // An equivalent color on the same width
+    equivalentColors(decoded.colorCode).forEach(colorCode => {
+        offer('color', coilWidth, colorCode, neededFeet);
+    });
+
+    availability.substitutes.sort((a, b) => Number(b.coversJob) - Number(a.coversJob) || a.neededFeet - b.neededFeet);
+    return availability;
+}
+
+module.exports = {
+    COLOR_EQUIVALENTS,
+    rowFeet,
+    buildStockIndex,
+    checkGroupAvailability
+};
@@ -0,0 +1,42 @@
+// Combined optimization of several orders so small orders share coil runs
+const { optimizeCoil } = require('./optimizer');
+
+// Tag every item with the order it came from and optimize all of them
+// together. Each order is also optimized on its own (without remnants, on
+// both sides) to show what combining saved.
+function optimizeBatch(orderSets, options) {
+    const tagged = orderSets.flatMap(set => set.items.map(item => ({ ...item, order: set.order })));
+    const combined = optimizeCoil(tagged, options);
+
+    const comparisonOptions = { ...options, remnants: [] };
+    const combinedFeet = Number(optimizeCoil(tagged, comparisonOptions).summary.totalWithScrap);
+
+    const orders = orderSets.map(set => {
+        const separate = optimizeCoil(set.items, comparisonOptions);
+        const lines = combined.lineItems.filter(line => line.order === set.order);
+        return {
+            order: set.order,
+            pieces: lines.reduce((sum, line) => sum + line.quantity, 0),
+            groups: [...new Set(lines.map(line => `${line.color || 'UNSPECIFIED'} ${line.gauge}ga`))],
+            lineItems: lines,
+            sellPrice: lines.reduce((sum, line) => sum + Number(line.extendedPrice), 0).toFixed(2),
+            separateFeet: separate.summary.totalWithScrap
+        };
+    });
+
+    const separateFeet = orders.reduce((sum, order) => sum + Number(order.separateFeet), 0);
+
+    return {
+        ...combined,
+        orders,
+        comparison: {
+            combinedFeet: combinedFeet.toFixed(2),
+            separateFeet: separateFeet.toFixed(2),
+            feetSaved: (separateFeet - combinedFeet).toFixed(2)
+        }
+    };
+}
+
+module.exports = {
+    optimizeBatch
+};
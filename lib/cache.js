@@ -0,0 +1,67 @@
+// Firestore-backed cache for large lists. Firestore documents top out at
+// 1 MB, so lists are split across chunk documents under one header.
+const COLLECTION = 'cache';
+const CHUNK_SIZE = 250; // rows per chunk document
+const CHUNK_BYTES = 900000; // JSON size per chunk, under the limit with room for overhead
+
+// Cached rows for a key, or null if missing or older than maxAgeMs
+async function readCache(firestore, key, maxAgeMs) {
+    const headerDoc = await firestore.collection(COLLECTION).doc(key).get();
+    if (!headerDoc.exists) {
+        return null;
+    }
+    const header = headerDoc.data();
+    if (!(header.timestamp > Date.now() - maxAgeMs)) {
+        return null;
+    }
+
+    // Entries written before chunking hold the rows inline
+    if (!header.chunks) {
+        return header.data || null;
+    }
+
+    const refs = [];
+    for (let i = 0; i < header.chunks; i++) {
+        refs.push(firestore.collection(COLLECTION).doc(`${key}_${i}`));
+    }
+    const docs = await firestore.getAll(...refs);
+    if (docs.some(doc => !doc.exists || doc.data().timestamp !== header.timestamp)) {
+        return null; // a newer write is in progress
+    }
+    return docs.flatMap(doc => doc.data().data);
+}
+
+// Split rows into chunks of at most CHUNK_SIZE rows and CHUNK_BYTES. A
+// single row over CHUNK_BYTES still gets a chunk of its own.
+function chunkRows(rows) {
+    const chunks = [[]];
+    let bytes = 0;
+    rows.forEach(row => {
+        const size = Buffer.byteLength(JSON.stringify(row));
+        const current = chunks[chunks.length - 1];
+        if (current.length > 0 && (current.length >= CHUNK_SIZE || bytes + size > CHUNK_BYTES)) {
+            chunks.push([row]);
+            bytes = size;
+            return;
+        }
+        current.push(row);
+        bytes += size;
+    });
+    return chunks;
+}
+
+async function writeCache(firestore, key, rows) {
+    const timestamp = Date.now();
+    const chunks = chunkRows(rows);
+    const batch = firestore.batch();
+    chunks.forEach((data, i) => {
+        batch.set(firestore.collection(COLLECTION).doc(`${key}_${i}`), { data, timestamp });
+    });
+    batch.set(firestore.collection(COLLECTION).doc(key), { chunks: chunks.length, count: rows.length, timestamp });
+    await batch.commit();
+}
+
+module.exports = {
+    readCache,
+    writeCache
+};
@@ -0,0 +1,196 @@
+// Physical coil inventory (one record per coil tag) and assignment of cut
+// lists to the coils on hand
+const { BUSINESS_CONFIG } = require('./config');
+const { decodeProductId } = require('./products');
+const { feetFromWeight } = require('./conversions');
+
+const COLLECTION = 'coils';
+
+const STATUSES = ['active', 'depleted', 'retired'];
+
+// Check a new coil record, returns a list of problems
+function validateCoil(data) {
+    const errors = [];
+    if (!data.tag) {
+        errors.push('tag is required');
+    }
+    const decoded = decodeProductId(data.sku);
+    if (!decoded || decoded.family !== 'coil' || !decoded.colorCode) {
+        errors.push('sku must be a coil SKU with a color, e.g. CO4387529AG');
+    }
+    const hasFeet = data.remainingFeet !== undefined;
+    const hasWeight = data.weightLbs !== undefined;
+    if (!hasFeet && !hasWeight) {
+        errors.push('remainingFeet or weightLbs is required');
+    }
+    if (hasFeet && !(Number(data.remainingFeet) >= 0)) {
+        errors.push('remainingFeet must be zero or more');
+    }
+    if (hasWeight && !(Number(data.weightLbs) >= 0)) {
+        errors.push('weightLbs must be zero or more');
+    }
+    return errors;
+}
+
+// Coils received by weight get their footage worked out from it
+async function createCoil(firestore, data) {
+    const decoded = decodeProductId(data.sku);
+    const weightLbs = data.weightLbs !== undefined ? Number(data.weightLbs) : null;
+    const coil = {
+        tag: String(data.tag),
+        sku: decoded.productId,
+        width: decoded.width,
+        gauge: decoded.gauge,
+        colorCode: decoded.colorCode,
+        color: decoded.colorName,
+        remainingFeet: data.remainingFeet !== undefined
+            ? Number(data.remainingFeet)
+            : feetFromWeight(decoded.productId, weightLbs),
+        feetFromWeight: data.remainingFeet === undefined,
+        weightLbs,
+        location: data.location || null,
+        heatNumber: data.heatNumber || null,
+        status: 'active',
+        receivedAt: data.receivedAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    await firestore.collection(COLLECTION).doc(coil.tag).set(coil);
+    return coil;
+}
+
+// Coils by status (active by default), optionally for one SKU
+async function listCoils(firestore, { status = 'active', sku } = {}) {
+    let query = firestore.collection(COLLECTION).where('status', '==', status);
+    if (sku) {
+        query = query.where('sku', '==', String(sku).toUpperCase());
+    }
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => doc.data());
+}
+
+async function getCoil(firestore, tag) {
+    const doc = await firestore.collection(COLLECTION).doc(tag).get();
+    return doc.exists ? doc.data() : null;
+}
+
+// Update what's left on a coil after a run. A new weight without a footage
+// updates the footage too. Returns null if the tag is unknown.
+async function updateCoil(firestore, tag, changes) {
+    const ref = firestore.collection(COLLECTION).doc(tag);
+    const doc = await ref.get();
+    if (!doc.exists) {
+        return null;
+    }
+    const update = { updatedAt: new Date().toISOString() };
+    ['remainingFeet', 'weightLbs'].forEach(field => {
+        if (changes[field] !== undefined) {
+            update[field] = Number(changes[field]);
+        }
+    });
+    if (update.weightLbs !== undefined && update.remainingFeet === undefined) {
+        update.remainingFeet = feetFromWeight(doc.data().sku, update.weightLbs);
+        update.feetFromWeight = true;
+    } else if (update.remainingFeet !== undefined) {
+        update.feetFromWeight = false;
+    }
+    if (changes.location !== undefined) {
+        update.location = changes.location;
+    }
+    if (changes.status !== undefined) {
+        update.status = changes.status;
+    }
+    if (update.remainingFeet === 0 && changes.status === undefined) {
+        update.status = 'depleted';
+    }
+    await ref.update(update);
+    return { ...doc.data(), ...update };
+}
+
+// The cut list of one color/gauge group as indivisible units of coil: each
+// full width piece, and each run of a nested pattern
+function groupUnits(group) {
+    const units = [];
+    group.patterns.forEach((pattern, index) => {
+        if (pattern.type === 'Full Width') {
+            for (let i = 0; i < pattern.quantity; i++) {
+                units.push({ pattern: index, length: pattern.lengthEach });
+            }
+        } else {
+            for (let i = 0; i < pattern.runs; i++) {
+                units.push({ pattern: index, length: pattern.runLength });
+            }
+        }
+    });
+    return units;
+}
+
+function describePattern(pattern) {
+    if (pattern.type === 'Full Width') {
+        return { type: pattern.type, products: [pattern.product], unitLength: pattern.lengthEach };
+    }
+    return {
+        type: pattern.type,
+        products: pattern.layout.map(lane => lane.product),
+        slitting: pattern.layout.map(lane => `${lane.lanes} x ${lane.width}"`).join(' + '),
+        unitLength: pattern.runLength
+    };
+}
+
+// Bin-pack a group's cut list onto actual coils of its SKU (best fit
+// decreasing). Each unit uses its length plus the scrap allowance.
+function assignToCoils(group, coils, scrapFactor = BUSINESS_CONFIG.scrapFactor) {
+    const bins = coils
+        .filter(coil => coil.sku === group.recommendedCoil && coil.status === 'active' && coil.remainingFeet > 0)
+        .map(coil => ({ coil, left: coil.remainingFeet, units: {} }));
+
+    const unassigned = {};
+    groupUnits(group)
+        .sort((a, b) => b.length - a.length)
+        .forEach(unit => {
+            const needed = unit.length * (1 + scrapFactor);
+            const fits = bins.filter(bin => bin.left + 1e-9 >= needed);
+            if (fits.length === 0) {
+                unassigned[unit.pattern] = (unassigned[unit.pattern] || 0) + 1;
+                return;
+            }
+            const bin = fits.reduce((best, candidate) => (candidate.left < best.left ? candidate : best));
+            bin.left -= needed;
+            bin.units[unit.pattern] = (bin.units[unit.pattern] || 0) + 1;
+        });
+
+    const assignments = bins
+        .filter(bin => Object.keys(bin.units).length > 0)
+        .map(bin => ({
+            tag: bin.coil.tag,
+            sku: bin.coil.sku,
+            location: bin.coil.location,
+            startingFeet: bin.coil.remainingFeet,
+            cuts: Object.entries(bin.units).map(([index, count]) => {
+                const pattern = describePattern(group.patterns[index]);
+                return { ...pattern, count, feet: count * pattern.unitLength };
+            }),
+            feetUsed: Number((bin.coil.remainingFeet - bin.left).toFixed(2)),
+            remainingFeet: Number(bin.left.toFixed(2))
+        }));
+
+    const shortage = Object.entries(unassigned).map(([index, count]) => {
+        const pattern = describePattern(group.patterns[index]);
+        return { ...pattern, count, feet: Number((count * pattern.unitLength * (1 + scrapFactor)).toFixed(2)) };
+    });
+
+    return {
+        coils: assignments,
+        unassigned: shortage,
+        shortFeet: Number(shortage.reduce((sum, entry) => sum + entry.feet, 0).toFixed(2))
+    };
+}
+
+module.exports = {
+    STATUSES,
+    validateCoil,
+    createCoil,
+    listCoils,
+    getCoil,
+    updateCoil,
+    assignToCoils
+};
@@ -0,0 +1,75 @@
+// Shared business configuration used by the API and the optimizer modules
+
+// Business configuration with 5% scrap factor
+const BUSINESS_CONFIG = {
+    scrapFactor: 0.05, // 5% scrap as requested
+    coilWidths: [20, 43.875],
+    masterCoilWidth: 43.875, // widest coil we buy, slit down in-house
+    minEdgeTrim: 0.25, // inches the slitter takes off a master coil's edges
+    defaultGauge: 29,
+    gauges: [24, 26, 29],
+    standardRollLength: 100, // feet
+    quoteValidDays: 30,
+    reservationDays: 14, // how long coil stays reserved unless released sooner
+    purchasing: {
+        // Per-SKU defaults until reorder settings are saved for a coil
+        leadTimeDays: 21,
+        minFeet: 1000, // safety stock
+        maxFeet: 5000, // order up to
+        orderIncrementFeet: 100
+    },
+    pricing: {
+        marginPercent: 0.30, // 30% margin
+        laborPerFoot: 0.50 // only for work no machine in the registry can run
+    },
+    production: {
+        shiftStart: '07:00',
+        hoursPerDay: 8,
+        workdays: [1, 2, 3, 4, 5], // Monday to Friday
+        gaugeChangeMinutes: 25, // roll adjustment on top of a machine's setup
+        // Built-in machine registry, saved machines override these by id
+        machines: [
+            {
+                id: 'RF-1', name: 'Ag panel roll-former', type: 'roll-former', profiles: ['A4', 'A6', 'A8'],
+                maxWidth: 43.875, minGauge: 24, maxGauge: 29, feetPerHour: 2400, setupMinutes: 15, costPerHour: 95
+            },
+            {
+                id: 'SL-1', name: 'Slitter', type: 'slitter', profiles: [],
+                maxWidth: 48, minGauge: 24, maxGauge: 29, feetPerHour: 3600, setupMinutes: 20, costPerHour: 80
+            },
+            {
+                id: 'BR-1', name: 'Trim brake', type: 'brake', profiles: [],
+                maxWidth: 24, minGauge: 24, maxGauge: 29, feetPerHour: 600, setupMinutes: 10, costPerHour: 60
+            }
+        ]
+    }
+};
+
+// Your Greenfield product categories
+const PRODUCT_CATEGORIES = {
+    coils: ['CO2024', 'CO2026', 'CO2029', 'CO4387524', 'CO4387526', 'CO4387529'],
+    panels: ['A4', 'A6', 'A8'], // Your panel prefixes
+    trim: ['High-Fastener', 'HF Rake', 'Overhead Door Trim', 'Com Rib Rake'],
+    colors: {
+        'AG': 'Ash Gray',
+        'ARW': 'Arctic White',
+        'AW': 'Alamo White',
+        'B': 'Brown',
+        'BER': 'Berry',
+        'BK': 'Black',
+        'BR': 'Brick Red',
+        'BS': 'Burnished Slate',
+        'BUR': 'Burgundy',
+        'BW': 'Bone White',
+        'OB': 'Ocean Blue',
+        'CH': 'Charcoal',
+        'EG': 'Evergreen',
+        'GB': 'Gallery Blue',
+        'GAL': 'Galvalume'
+    }
+};
+
+module.exports = {
+    BUSINESS_CONFIG,
+    PRODUCT_CATEGORIES
+};
@@ -0,0 +1,120 @@
+// Coil weight ↔ linear feet ↔ square feet conversions
+//
+// Weight per square foot is worked out from the base steel thickness for the
+// gauge plus the metallic coating and paint for the substrate. Widths are in
+// inches, everything else in feet and pounds.
+const { decodeProductId } = require('./products');
+
+// Base steel thickness by gauge (inches)
+const GAUGE_THICKNESS = {
+    24: 0.0239,
+    26: 0.0179,
+    29: 0.0135
+};
+
+const STEEL_DENSITY = 0.2836; // lbs per cubic inch
+
+// Coating and paint weight added on top of the steel (lbs per square foot)
+const SUBSTRATES = {
+    galvalume: 0.0313, // AZ50 aluminum-zinc coating
+    galvanized: 0.0563, // G90 zinc coating
+    painted: 0.0313 + 0.0100 // AZ50 base plus primer and paint
+};
+
+const DEFAULT_SUBSTRATE = 'painted';
+
+// Galvalume is the bare coated coil, every other color is painted
+function substrateForColor(colorCode) {
+    return colorCode === 'GAL' ? 'galvalume' : DEFAULT_SUBSTRATE;
+}
+
+function lbsPerSquareFoot(gauge, substrate = DEFAULT_SUBSTRATE) {
+    const thickness = GAUGE_THICKNESS[gauge];
+    if (!thickness || SUBSTRATES[substrate] === undefined) {
+        return null;
+    }
+    return thickness * 144 * STEEL_DENSITY + SUBSTRATES[substrate];
+}
+
+// Gauge, width and substrate for a coil SKU, or null if it isn't one
+function coilSpec(sku) {
+    const decoded = decodeProductId(sku);
+    if (!decoded || decoded.family !== 'coil') {
+        return null;
+    }
+    return {
+        gauge: decoded.gauge,
+        width: decoded.width,
+        substrate: substrateForColor(decoded.colorCode)
+    };
+}
+
+// Check a conversion request, returns a list of problems
+function validateConversion({ gauge, width, substrate, lbs, linearFeet, squareFeet }) {
+    const errors = [];
+    if (!GAUGE_THICKNESS[gauge]) {
+        errors.push(`gauge must be one of ${Object.keys(GAUGE_THICKNESS).join(', ')}`);
+    }
+    if (!(Number(width) > 0)) {
+        errors.push('width must be a positive number');
+    }
+    if (substrate !== undefined && SUBSTRATES[substrate] === undefined) {
+        errors.push(`substrate must be one of ${Object.keys(SUBSTRATES).join(', ')}`);
+    }
+    const given = [lbs, linearFeet, squareFeet].filter(value => value !== undefined);
+    if (given.length !== 1) {
+        errors.push('give exactly one of lbs, linearFeet or squareFeet');
+    } else if (!(Number(given[0]) >= 0)) {
+        errors.push('the amount to convert must be zero or more');
+    }
+    return errors;
+}
+
+// Convert one of lbs, linearFeet or squareFeet into all three
+function convert({ gauge, width, substrate = DEFAULT_SUBSTRATE, lbs, linearFeet, squareFeet }) {
+    const psf = lbsPerSquareFoot(Number(gauge), substrate);
+    const widthFeet = Number(width) / 12;
+
+    let area;
+    if (lbs !== undefined) {
+        area = Number(lbs) / psf;
+    } else if (linearFeet !== undefined) {
+        area = Number(linearFeet) * widthFeet;
+    } else {
+        area = Number(squareFeet);
+    }
+
+    return {
+        gauge: Number(gauge),
+        width: Number(width),
+        substrate,
+        lbsPerSquareFoot: Number(psf.toFixed(4)),
+        lbsPerLinearFoot: Number((psf * widthFeet).toFixed(4)),
+        lbs: Number((area * psf).toFixed(2)),
+        linearFeet: Number((area / widthFeet).toFixed(2)),
+        squareFeet: Number(area.toFixed(2))
+    };
+}
+
+// Linear feet on a coil of this SKU weighing `lbs`, or null for non-coil SKUs
+function feetFromWeight(sku, lbs) {
+    const spec = coilSpec(sku);
+    return spec ? convert({ ...spec, lbs }).linearFeet : null;
+}
+
+// Weight of `linearFeet` of coil for this SKU, or null for non-coil SKUs
+function weightFromFeet(sku, linearFeet) {
+    const spec = coilSpec(sku);
+    return spec ? convert({ ...spec, linearFeet }).lbs : null;
+}
+
+module.exports = {
+    GAUGE_THICKNESS,
+    SUBSTRATES,
+    lbsPerSquareFoot,
+    coilSpec,
+    validateConversion,
+    convert,
+    feetFromWeight,
+    weightFromFeet
+};
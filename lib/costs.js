@@ -0,0 +1,82 @@
+// Material cost table: cost per linear foot by coil SKU, stored in Firestore
+const { decodeProductId } = require('./products');
+
+const COLLECTION = 'coilCosts';
+
+// Used when neither the coil SKU nor its base code has a cost on file
+const DEFAULT_COST_PER_FOOT = 3.85;
+
+// Paradigm inventory fields checked, in order, for a coil's cost per foot
+const PARADIGM_COST_FIELDS = ['DecUnitCost', 'DecCost', 'DecAverageCost', 'DecLastCost'];
+
+async function loadCostTable(firestore) {
+    const snapshot = await firestore.collection(COLLECTION).get();
+    const table = {};
+    snapshot.docs.forEach(doc => {
+        table[doc.id] = doc.data();
+    });
+    return table;
+}
+
+// Set the cost for a coil SKU (e.g. CO4387529AG) or a whole base code
+// (e.g. CO4387529, any color). Returns null if the SKU isn't a coil.
+async function setCost(firestore, sku, costPerFoot, source = 'manual') {
+    const decoded = decodeProductId(sku);
+    if (!decoded || decoded.family !== 'coil') {
+        return null;
+    }
+    const entry = {
+        costPerFoot: Number(costPerFoot),
+        source,
+        updatedAt: new Date().toISOString()
+    };
+    await firestore.collection(COLLECTION).doc(decoded.productId).set(entry);
+    return { sku: decoded.productId, ...entry };
+}
+
+// Pull coil costs out of Paradigm inventory rows. Manual entries are kept,
+// only SKUs without a cost or with an earlier Paradigm cost are written.
+async function seedFromInventory(firestore, inventory) {
+    const table = await loadCostTable(firestore);
+    const seeded = [];
+
+    for (const item of inventory) {
+        const decoded = decodeProductId(item.StrProductID);
+        if (!decoded || decoded.family !== 'coil') {
+            continue;
+        }
+        const field = PARADIGM_COST_FIELDS.find(f => Number(item[f]) > 0);
+        if (!field) {
+            continue;
+        }
+        const existing = table[decoded.productId];
+        if (existing && existing.source !== 'paradigm') {
+            continue;
+        }
+        seeded.push(await setCost(firestore, decoded.productId, Number(item[field]), 'paradigm'));
+    }
+
+    return seeded;
+}
+
+// Cost per foot for a coil SKU: exact SKU first, then its base code,
+// then the default
+function lookupCost(table, sku) {
+    if (table[sku]) {
+        return { costPerFoot: table[sku].costPerFoot, costSource: sku };
+    }
+    const decoded = decodeProductId(sku);
+    if (decoded && decoded.family === 'coil' && table[decoded.baseCode]) {
+        return { costPerFoot: table[decoded.baseCode].costPerFoot, costSource: decoded.baseCode };
+    }
+    return { costPerFoot: DEFAULT_COST_PER_FOOT, costSource: 'default' };
+}
+
+module.exports = {
+    DEFAULT_COST_PER_FOOT,
+    PARADIGM_COST_FIELDS,
+    loadCostTable,
+    setCost,
+    seedFromInventory,
+    lookupCost
+};
@@ -0,0 +1,169 @@
+// Shop cut lists from Paradigm sales orders
+//
+// Order lines are mapped to optimizer items from the SKU (color, gauge,
+// family) and the line's quantity, length and width. The optimizer result
+// is then laid out per coil as a numbered sequence of cuts.
+const { BUSINESS_CONFIG } = require('./config');
+const { decodeProductId } = require('./products');
+
+// Paradigm line fields, first one present wins
+const LINE_FIELDS = {
+    lines: ['LineItems', 'Lines', 'SalesOrderLines', 'Items'],
+    quantity: ['DecQuantity', 'IntQuantity', 'DecQty', 'Quantity'],
+    length: ['DecLength', 'DecPieceLength', 'Length'],
+    width: ['DecWidth', 'DecStretchOut', 'Width'],
+    description: ['StrDescription', 'Description']
+};
+
+// Value of the first of `fields` the Paradigm record fills in
+function firstField(record, fields) {
+    const field = fields.find(f => record[f] !== undefined && record[f] !== null && record[f] !== '');
+    return field ? record[field] : undefined;
+}
+
+// The order's lines, or an empty list when Paradigm left them off
+function orderLines(order) {
+    return firstField(order, LINE_FIELDS.lines) || [];
+}
+
+// The order cut down to its number and the line fields orderToItems reads,
+// small enough to cache a whole backlog
+function slimOrder(order, orderNumber) {
+    return {
+        StrOrderID: orderNumber,
+        LineItems: orderLines(order).map(line => ({
+            StrProductID: line.StrProductID || null,
+            DecQuantity: firstField(line, LINE_FIELDS.quantity) || null,
+            DecLength: firstField(line, LINE_FIELDS.length) || null,
+            DecWidth: firstField(line, LINE_FIELDS.width) || null
+        }))
+    };
+}
+
+// Map a sales order to optimizer items. Lines that aren't panels or trim,
+// or are missing a dimension, come back in `skipped` with the reason.
+function orderToItems(order, { coilWidth = 43.875 } = {}) {
+    const lines = orderLines(order);
+    const items = [];
+    const skipped = [];
+
+    lines.forEach((line, index) => {
+        const productId = line.StrProductID;
+        const decoded = decodeProductId(productId);
+        const skip = reason => skipped.push({ line: index + 1, productId: productId || null, reason });
+
+        if (!decoded || (decoded.family !== 'panel' && decoded.family !== 'trim')) {
+            return skip('not a panel or trim product');
+        }
+
+        const quantity = Number(firstField(line, LINE_FIELDS.quantity));
+        const length = Number(firstField(line, LINE_FIELDS.length));
+        // Panels run the full coil width, trim needs its flat width on the line
+        const width = decoded.family === 'panel' ? coilWidth : Number(firstField(line, LINE_FIELDS.width));
+
+        if (!(quantity > 0)) {
+            return skip('no quantity');
+        }
+        if (!(length > 0)) {
+            return skip('no piece length');
+        }
+        if (!(width > 0)) {
+            return skip('no trim width');
+        }
+
+        items.push({
+            productId: decoded.productId,
+            description: firstField(line, LINE_FIELDS.description) || null,
+            color: decoded.colorName || 'UNSPECIFIED',
+            gauge: decoded.gauge || BUSINESS_CONFIG.defaultGauge,
+            quantity: Math.round(quantity),
+            length,
+            width,
+            line: index + 1
+        });
+    });
+
+    return { items, skipped };
+}
+
+// Lay the optimizer result out per coil: remnant cuts first, then full width
+// panels longest first, then nested trim patterns
+function buildCutList(result) {
+    return Object.values(result.optimization).map(group => {
+        const steps = [];
+
+        group.remnantsUsed.forEach(remnant => {
+            steps.push({
+                source: 'remnant',
+                remnantId: remnant.remnantId,
+                location: remnant.location,
+                type: 'Remnant',
+                feet: remnant.feetUsed,
+                cuts: remnant.pieces.map(piece => ({
+                    product: piece.product,
+                    order: piece.order,
+                    count: piece.quantity,
+                    length: piece.length,
+                    width: piece.width
+                }))
+            });
+        });
+
+        group.patterns
+            .filter(pattern => pattern.type === 'Full Width')
+            .sort((a, b) => b.lengthEach - a.lengthEach)
+            .forEach(pattern => {
+                steps.push({
+                    source: 'coil',
+                    type: 'Full Width',
+                    feet: pattern.totalFeet,
+                    cuts: [{
+                        product: pattern.product,
+                        order: pattern.order,
+                        count: pattern.quantity,
+                        length: pattern.lengthEach
+                    }]
+                });
+            });
+
+        group.patterns
+            .filter(pattern => pattern.type !== 'Full Width')
+            .forEach(pattern => {
+                steps.push({
+                    source: 'coil',
+                    type: pattern.type,
+                    slitting: pattern.layout.map(lane => `${lane.lanes} x ${lane.width}"`).join(' + '),
+                    trimOffWidth: pattern.trimOffWidth,
+                    runs: pattern.runs,
+                    runLength: pattern.runLength,
+                    feet: pattern.totalFeet,
+                    cuts: pattern.layout.map(lane => ({
+                        product: lane.product,
+                        order: lane.order,
+                        count: lane.pieces,
+                        length: lane.length,
+                        width: lane.width,
+                        piecesPerLane: lane.piecesPerLane,
+                        overrun: lane.overrun
+                    }))
+                });
+            });
+
+        return {
+            coil: group.recommendedCoil,
+            color: group.color,
+            gauge: group.gauge,
+            coilFeet: group.totalLinearFeet,
+            pieces: steps.reduce((sum, step) => sum + step.cuts.reduce((n, cut) => n + cut.count, 0), 0),
+            steps: steps.map((step, index) => ({ seq: index + 1, ...step }))
+        };
+    });
+}
+
+module.exports = {
+    firstField,
+    orderLines,
+    slimOrder,
+    orderToItems,
+    buildCutList
+};
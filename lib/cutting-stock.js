@@ -0,0 +1,184 @@
+// Cutting-stock solver for nesting trim across the coil width
+//
+// Widths are in inches, lengths in feet. A pattern is one slitting layout
+// across the coil: a set of lanes, each lane cutting pieces of one product.
+// Every run of a pattern consumes `runLength` feet of coil, and a lane whose
+// pieces are shorter than the run cuts several pieces end to end.
+
+// Work in 1/16" steps so fractional widths like 43.875" stay exact
+const WIDTH_RESOLUTION = 16;
+
+function toUnits(inches, round) {
+    return round(inches * WIDTH_RESOLUTION + 1e-9);
+}
+
+// Pick the lane mix that covers the most coil area for one run length
+// (bounded knapsack over the coil width)
+function fillWidth(candidates, capacity) {
+    const copies = [];
+    candidates.forEach(candidate => {
+        for (let i = 0; i < candidate.maxLanes; i++) {
+            copies.push(candidate);
+        }
+    });
+
+    const best = new Array(capacity + 1).fill(0);
+    const taken = copies.map(() => new Uint8Array(capacity + 1));
+
+    copies.forEach((candidate, index) => {
+        for (let c = capacity; c >= candidate.units; c--) {
+            const value = best[c - candidate.units] + candidate.value;
+            if (value > best[c] + 1e-9) {
+                best[c] = value;
+                taken[index][c] = 1;
+            }
+        }
+    });
+
+    const lanes = new Map();
+    let c = capacity;
+    for (let index = copies.length - 1; index >= 0; index--) {
+        if (taken[index][c]) {
+            const candidate = copies[index];
+            lanes.set(candidate, (lanes.get(candidate) || 0) + 1);
+            c -= candidate.units;
+        }
+    }
+    return lanes;
+}
+
+function buildPattern(coilWidth, runLength, runs, lanes) {
+    const layout = lanes.map(({ demand, count }) => {
+        const piecesPerLane = Math.floor(runLength / demand.length);
+        return {
+            product: demand.productId,
+            order: demand.order,
+            width: demand.width,
+            length: demand.length,
+            lanes: count,
+            piecesPerLane,
+            piecesPerRun: count * piecesPerLane
+        };
+    });
+
+    const usedWidth = layout.reduce((sum, lane) => sum + lane.width * lane.lanes, 0);
+    const usedArea = layout.reduce(
+        (sum, lane) => sum + lane.width * lane.lanes * lane.piecesPerLane * lane.length, 0
+    );
+
+    return {
+        type: 'Nested Pattern',
+        layout,
+        usedWidth: Number(usedWidth.toFixed(3)),
+        trimOffWidth: Number((coilWidth - usedWidth).toFixed(3)),
+        runLength,
+        runs,
+        totalFeet: runs * runLength,
+        efficiency: `${((usedArea / (coilWidth * runLength)) * 100).toFixed(1)}%`
+    };
+}
+
+// Record the pieces a pattern produces against the remaining demand
+function applyPattern(pattern, lanes) {
+    pattern.layout.forEach((lane, index) => {
+        const { demand } = lanes[index];
+        const produced = lane.piecesPerRun * pattern.runs;
+        lane.pieces = Math.min(produced, demand.remaining);
+        lane.overrun = Math.max(0, produced - demand.remaining);
+        demand.remaining = Math.max(0, demand.remaining - produced);
+    });
+}
+
+// Combined patterns: lead with the longest outstanding piece and fill the
+// rest of the width with whatever nests best alongside it
+function solveCombined(demands, coilWidth) {
+    const capacity = toUnits(coilWidth, Math.floor);
+    const patterns = [];
+
+    for (;;) {
+        const open = demands.filter(d => d.remaining > 0);
+        if (open.length === 0) {
+            break;
+        }
+
+        const lead = open.reduce((a, b) => (b.length > a.length ||
+            (b.length === a.length && b.width > a.width) ? b : a));
+        const runLength = lead.length;
+        const leadUnits = toUnits(lead.width, Math.ceil);
+
+        const candidates = open.map(demand => {
+            const units = toUnits(demand.width, Math.ceil);
+            const piecesPerLane = Math.floor(runLength / demand.length);
+            const lanesWanted = Math.ceil(demand.remaining / piecesPerLane);
+            const reserved = demand === lead ? 1 : 0;
+            return {
+                demand,
+                units,
+                value: demand.width * piecesPerLane * demand.length / runLength,
+                maxLanes: Math.max(0, Math.min(lanesWanted - reserved,
+                    Math.floor((capacity - leadUnits) / units)))
+            };
+        });
+
+        const chosen = fillWidth(candidates, capacity - leadUnits);
+        const lanes = [{ demand: lead, count: 1 + (chosen.get(candidates.find(c => c.demand === lead)) || 0) }];
+        chosen.forEach((count, candidate) => {
+            if (candidate.demand !== lead) {
+                lanes.push({ demand: candidate.demand, count });
+            }
+        });
+
+        // Repeat the pattern as long as no lane overruns its demand
+        const runs = Math.max(1, Math.min(...lanes.map(({ demand, count }) =>
+            Math.floor(demand.remaining / (count * Math.floor(runLength / demand.length))))));
+
+        const pattern = buildPattern(coilWidth, runLength, runs, lanes);
+        applyPattern(pattern, lanes);
+        patterns.push(pattern);
+    }
+
+    return patterns;
+}
+
+// One pattern per product, each nested on its own across the width
+function solveSingleItem(demands, coilWidth) {
+    return demands.map(demand => {
+        const lanes = Math.floor(coilWidth / demand.width);
+        const runs = Math.ceil(demand.remaining / lanes);
+        const laneSet = [{ demand, count: lanes }];
+        const pattern = buildPattern(coilWidth, demand.length, runs, laneSet);
+        applyPattern(pattern, laneSet);
+        return pattern;
+    });
+}
+
+// Solve the trim portion of a color group. Returns the patterns with the
+// fewest total linear feet, never worse than nesting each product alone.
+function solveCuttingStock(items, coilWidth) {
+    const toDemands = () => items.map(item => ({
+        productId: item.productId,
+        order: item.order,
+        width: Number(item.width),
+        length: Number(item.length),
+        remaining: Number(item.quantity)
+    }));
+
+    const combined = solveCombined(toDemands(), coilWidth);
+    const singleItem = solveSingleItem(toDemands(), coilWidth);
+
+    const feet = patterns => patterns.reduce((sum, p) => sum + p.totalFeet, 0);
+    const patterns = feet(combined) <= feet(singleItem) ? combined : singleItem;
+
+    return {
+        patterns,
+        linearFeet: feet(patterns),
+        singleItemFeet: feet(singleItem)
+    };
+}
+
+module.exports = {
+    WIDTH_RESOLUTION,
+    toUnits,
+    fillWidth,
+    solveCuttingStock
+};
@@ -0,0 +1,191 @@
+// Machine registry: roll-formers, slitters and brakes and what each can run
+//
+// The built-in machines in BUSINESS_CONFIG.production are the defaults;
+// entries in the `machines` collection override them by id or add new ones.
+// Each machine lists the panel profiles (roll-formers) or trim (brakes) it
+// runs, an empty list meaning any, plus its max coil width, gauge range,
+// speed, setup time and running cost per hour.
+const { BUSINESS_CONFIG } = require('./config');
+const { decodeProductId } = require('./products');
+
+const COLLECTION = 'machines';
+
+const MACHINE_TYPES = ['roll-former', 'slitter', 'brake'];
+
+// Machine type that runs each kind of optimizer pattern
+const PATTERN_MACHINES = {
+    'Full Width': 'roll-former',
+    'Nested Pattern': 'slitter'
+};
+
+// Profile names compare without case or spacing, so 'HF Rake' matches hf-rake
+function profileKey(name) {
+    return String(name).trim().toUpperCase().replace(/[\s_]+/g, '-');
+}
+
+// Check a machine entry, returns a list of problems
+function validateMachine(machine) {
+    if (!machine || typeof machine !== 'object') {
+        return ['machine must be an object'];
+    }
+    const errors = [];
+    if (!MACHINE_TYPES.includes(machine.type)) {
+        errors.push(`type must be one of ${MACHINE_TYPES.join(', ')}`);
+    }
+    ['maxWidth', 'feetPerHour'].forEach(field => {
+        if (!(Number(machine[field]) > 0)) {
+            errors.push(`${field} must be a positive number`);
+        }
+    });
+    ['setupMinutes', 'costPerHour'].forEach(field => {
+        if (machine[field] !== undefined && !(Number(machine[field]) >= 0)) {
+            errors.push(`${field} must be zero or more`);
+        }
+    });
+    ['minGauge', 'maxGauge'].forEach(field => {
+        if (machine[field] !== undefined && !BUSINESS_CONFIG.gauges.includes(Number(machine[field]))) {
+            errors.push(`${field} must be one of ${BUSINESS_CONFIG.gauges.join(', ')}`);
+        }
+    });
+    if (Number(machine.minGauge) > Number(machine.maxGauge)) {
+        errors.push('minGauge must not be above maxGauge');
+    }
+    if (machine.profiles !== undefined && !(Array.isArray(machine.profiles) && machine.profiles.every(p => typeof p === 'string'))) {
+        errors.push('profiles must be a list of panel profiles or trim names');
+    }
+    return errors;
+}
+
+function normalizeMachine(id, machine) {
+    return {
+        id,
+        name: machine.name || id,
+        type: machine.type,
+        profiles: machine.profiles || [],
+        maxWidth: Number(machine.maxWidth),
+        minGauge: Number(machine.minGauge || Math.min(...BUSINESS_CONFIG.gauges)),
+        maxGauge: Number(machine.maxGauge || Math.max(...BUSINESS_CONFIG.gauges)),
+        feetPerHour: Number(machine.feetPerHour),
+        setupMinutes: Number(machine.setupMinutes || 0),
+        costPerHour: Number(machine.costPerHour || 0),
+        active: machine.active !== false
+    };
+}
+
+function defaultMachines() {
+    return BUSINESS_CONFIG.production.machines.map(machine => ({ ...normalizeMachine(machine.id, machine), source: 'default' }));
+}
+
+// Built-in machines with the saved ones laid over them
+async function listMachines(firestore) {
+    const machines = new Map(defaultMachines().map(machine => [machine.id, machine]));
+    const snapshot = await firestore.collection(COLLECTION).get();
+    snapshot.docs.forEach(doc => {
+        machines.set(doc.id, { ...normalizeMachine(doc.id, doc.data()), source: 'saved' });
+    });
+    return [...machines.values()];
+}
+
+async function saveMachine(firestore, id, machine) {
+    const entry = { ...normalizeMachine(id, machine), updatedAt: new Date().toISOString() };
+    delete entry.id;
+    await firestore.collection(COLLECTION).doc(id).set(entry);
+    return { id, ...entry };
+}
+
+// Why a machine can't run a job, or null if it can. `profile` is the panel
+// profile or trim name, `width` the coil or flat width.
+function whyNot(machine, { profile, width, gauge }) {
+    if (!machine.active) {
+        return 'inactive';
+    }
+    if (width > machine.maxWidth) {
+        return `${width}" is wider than its ${machine.maxWidth}" max`;
+    }
+    if (gauge < machine.minGauge || gauge > machine.maxGauge) {
+        return `${gauge}ga is outside its ${machine.minGauge}-${machine.maxGauge}ga range`;
+    }
+    if (profile && machine.profiles.length > 0 &&
+        !machine.profiles.some(p => profileKey(p) === profileKey(profile))) {
+        return `it doesn't run ${profile}`;
+    }
+    return null;
+}
+
+function runMinutes(machine, feet) {
+    return (feet / machine.feetPerHour) * 60;
+}
+
+// Which machines a group's work goes to and what it costs to run. One step
+// per machine type and profile: full width panels on a roll-former, nested
+// patterns on a slitter, and formed trim on a brake (its feet are finished
+// piece length, remnant pieces included). Each step runs on the fastest
+// capable machine and pays one setup. Work no machine can take is costed at
+// the flat laborPerFoot.
+function planGroupMachines({ patterns, items, gauge, coilWidth }, machines) {
+    const work = new Map();
+    const addWork = (type, profile, width, feet) => {
+        const key = `${type}|${profile || ''}|${width}`;
+        const entry = work.get(key) || { type, profile, width, feet: 0 };
+        entry.feet += feet;
+        work.set(key, entry);
+    };
+
+    patterns.forEach(pattern => {
+        const type = PATTERN_MACHINES[pattern.type] || 'slitter';
+        const decoded = type === 'roll-former' ? decodeProductId(pattern.product) : null;
+        addWork(type, decoded && decoded.profile, coilWidth, pattern.totalFeet * (1 + BUSINESS_CONFIG.scrapFactor));
+    });
+    items.filter(item => item.width < coilWidth).forEach(item => {
+        const decoded = decodeProductId(item.productId);
+        const trim = item.profileId || (decoded && decoded.family === 'trim' ? decoded.profile : null);
+        if (trim) {
+            addWork('brake', trim, item.width, item.quantity * item.length);
+        }
+    });
+
+    const problems = [];
+    const steps = [...work.values()].map(({ type, profile, width, feet }) => {
+        const ofType = machines.filter(machine => machine.type === type);
+        const candidates = ofType.filter(machine => !whyNot(machine, { profile, width, gauge: Number(gauge) }));
+        const step = {
+            type,
+            profile: profile || null,
+            feet: Number(feet.toFixed(2)),
+            machineId: null,
+            candidates: candidates.map(machine => machine.id),
+            minutes: null,
+            laborCost: feet * BUSINESS_CONFIG.pricing.laborPerFoot
+        };
+        if (candidates.length === 0) {
+            const reasons = ofType.map(machine => `${machine.id}: ${whyNot(machine, { profile, width, gauge: Number(gauge) })}`);
+            problems.push(`No ${type} can run ${profile ? `${profile} ` : ''}${width}" ${gauge}ga` +
+                (reasons.length > 0 ? ` (${reasons.join('; ')})` : ''));
+            return step;
+        }
+        const machine = candidates.reduce((a, b) => (b.feetPerHour > a.feetPerHour ? b : a));
+        const minutes = machine.setupMinutes + runMinutes(machine, feet);
+        step.machineId = machine.id;
+        step.minutes = Number(minutes.toFixed(1));
+        step.laborCost = (minutes / 60) * machine.costPerHour;
+        return step;
+    });
+
+    return {
+        runnable: problems.length === 0,
+        steps: steps.map(step => ({ ...step, laborCost: Number(step.laborCost.toFixed(2)) })),
+        problems,
+        laborCost: steps.reduce((sum, step) => sum + step.laborCost, 0)
+    };
+}
+
+module.exports = {
+    MACHINE_TYPES,
+    PATTERN_MACHINES,
+    validateMachine,
+    defaultMachines,
+    listMachines,
+    saveMachine,
+    runMinutes,
+    planGroupMachines
+};
@@ -0,0 +1,316 @@
+// Coil optimizer shared by /api/optimize/coil and /api/test/optimize
+const { BUSINESS_CONFIG, PRODUCT_CATEGORIES } = require('./config');
+const { solveCuttingStock } = require('./cutting-stock');
+const { allocateRemnants } = require('./remnants');
+const { getColorCode, coilBaseCode, decodeProductId } = require('./products');
+const { lookupCost } = require('./costs');
+const { assignToCoils } = require('./coils');
+const { weightFromFeet } = require('./conversions');
+const { buildStockIndex, checkGroupAvailability } = require('./availability');
+const { defaultMachines, planGroupMachines } = require('./machines');
+const { PRICE_LISTS, DEFAULT_PRICE_LIST, itemFamily, priceForFamily } = require('./pricing');
+
+const STANDARD_PRICE_LIST = { name: DEFAULT_PRICE_LIST, rules: PRICE_LISTS[DEFAULT_PRICE_LIST].rules };
+
+// Check the request items before optimizing, returns a list of problems
+function validateItems(items) {
+    const errors = [];
+    items.forEach((item, index) => {
+        ['quantity', 'length', 'width'].forEach(field => {
+            const value = Number(item[field]);
+            if (!Number.isFinite(value) || value <= 0) {
+                errors.push(`items[${index}].${field} must be a positive number`);
+            }
+        });
+        if (item.quantity !== undefined && !Number.isInteger(Number(item.quantity))) {
+            errors.push(`items[${index}].quantity must be a whole number`);
+        }
+        if (item.gauge !== undefined && !BUSINESS_CONFIG.gauges.includes(Number(item.gauge))) {
+            errors.push(`items[${index}].gauge must be one of ${BUSINESS_CONFIG.gauges.join(', ')}`);
+        }
+    });
+    return errors;
+}
+
+// Optimize one color/gauge group: full width panels run straight off the coil,
+// everything narrower is nested together by the cutting-stock solver
+function optimizeGroup(colorItems, coilWidth) {
+    const patterns = [];
+    let linearFeet = 0;
+
+    colorItems.filter(item => item.width >= coilWidth).forEach(item => {
+        linearFeet += item.quantity * item.length;
+        patterns.push({
+            type: 'Full Width',
+            product: item.productId,
+            order: item.order,
+            quantity: item.quantity,
+            lengthEach: item.length,
+            totalFeet: item.quantity * item.length
+        });
+    });
+
+    const trimItems = colorItems.filter(item => item.width < coilWidth);
+    let singleItemFeet = linearFeet;
+    if (trimItems.length > 0) {
+        const nesting = solveCuttingStock(trimItems, coilWidth);
+        patterns.push(...nesting.patterns);
+        linearFeet += nesting.linearFeet;
+        singleItemFeet += nesting.singleItemFeet;
+    }
+
+    // Share of the coil that ends up in finished pieces
+    const pieceArea = colorItems.reduce((sum, item) => sum + item.quantity * item.length * Math.min(item.width, coilWidth), 0);
+
+    return {
+        patterns,
+        linearFeet,
+        savedFeet: singleItemFeet - linearFeet,
+        utilization: linearFeet > 0 ? pieceArea / (linearFeet * coilWidth) : 0
+    };
+}
+
+// Run the optimizer over a list of items and price the result.
+// Pieces are cut from matching remnants first when any are passed in, and
+// material is priced per coil SKU from the cost table. Sell prices come
+// from the price list rules for each product family. When the coils on hand
+// are passed in, each group's cut list is also packed onto actual coils.
+// When Paradigm inventory rows are passed in, each group's coil is checked
+// against stock less `reserved` feet per SKU, with substitutes for any
+// shortfall. Labor is costed from the time each group takes on the
+// `machines` that can run it, and work none of them can run is reported.
+function optimizeCoil(requestItems, {
+    coilWidth = 43.875,
+    remnants = [],
+    costTable = {},
+    priceList = STANDARD_PRICE_LIST,
+    coils = null,
+    inventory = null,
+    reserved = new Map(),
+    machines = defaultMachines()
+} = {}) {
+    // Items without a gauge take the one in their SKU (panels carry it), then
+    // the default
+    const items = requestItems.map(item => {
+        const decoded = decodeProductId(item.productId);
+        return {
+            ...item,
+            quantity: Number(item.quantity),
+            length: Number(item.length),
+            width: Number(item.width),
+            gauge: Number(item.gauge || (decoded && decoded.gauge) || BUSINESS_CONFIG.defaultGauge)
+        };
+    });
+
+    // Group items by color and gauge, they can only share a coil if both match
+    const colorGroups = {};
+    items.forEach(item => {
+        const color = item.color || 'UNSPECIFIED';
+        const key = `${color} ${item.gauge}ga`;
+        if (!colorGroups[key]) {
+            colorGroups[key] = { color, gauge: item.gauge, items: [] };
+        }
+        colorGroups[key].items.push(item);
+    });
+
+    // Optimize each color/gauge group
+    const optimization = {};
+    let totalLinearFeet = 0;
+    let totalWithScrap = 0;
+    let remnantsUsed = 0;
+    let materialCost = 0;
+    let laborCost = 0;
+    const materialByGroup = [];
+    const itemCosts = new Map();
+    const stock = inventory ? buildStockIndex(inventory, reserved) : null;
+
+    Object.keys(colorGroups).forEach(key => {
+        const { color, gauge, items: colorItems } = colorGroups[key];
+
+        // Fill from remnants of the same color before cutting new coil
+        const colorRemnants = remnants.filter(r => r.color && r.color.toLowerCase() === color.toLowerCase());
+        const fromRemnants = allocateRemnants(colorItems, colorRemnants);
+        remnantsUsed += fromRemnants.allocations.length;
+
+        const { patterns, linearFeet, savedFeet, utilization } = optimizeGroup(fromRemnants.items, coilWidth);
+
+        // Apply 5% scrap factor
+        const scrapAmount = linearFeet * BUSINESS_CONFIG.scrapFactor;
+        const totalNeeded = linearFeet + scrapAmount;
+
+        // Determine which coil product to use
+        const coilProduct = selectCoilProduct(color, coilWidth, gauge);
+
+        optimization[key] = {
+            color,
+            gauge,
+            items: colorItems,
+            patterns: patterns,
+            baseLinearFeet: linearFeet,
+            scrapFeet: scrapAmount,
+            totalLinearFeet: totalNeeded,
+            coilsNeeded: Math.ceil(totalNeeded / BUSINESS_CONFIG.standardRollLength),
+            efficiency: totalNeeded > 0 ? ((linearFeet / totalNeeded) * 100).toFixed(2) + '%' : 'N/A',
+            materialUtilization: (utilization * 100).toFixed(2) + '%',
+            feetSavedByNesting: savedFeet,
+            remnantsUsed: fromRemnants.allocations,
+            recommendedCoil: coilProduct.sku,
+            stockedCoil: coilProduct.stocked,
+            estimatedWeightLbs: weightFromFeet(coilProduct.sku, totalNeeded) ||
+                weightFromFeet(coilProduct.baseCode, totalNeeded)
+        };
+
+        if (coils) {
+            optimization[key].coilAssignment = assignToCoils(optimization[key], coils);
+        }
+
+        if (stock) {
+            optimization[key].availability = checkGroupAvailability(optimization[key], stock, {
+                coilWidth,
+                feetOnWidth: width => optimizeGroup(fromRemnants.items, width).linearFeet * (1 + BUSINESS_CONFIG.scrapFactor)
+            });
+        }
+
+        // Price this group's material from its coil SKU
+        const { costPerFoot, costSource } = lookupCost(costTable, coilProduct.sku);
+        const groupMaterialCost = totalNeeded * costPerFoot;
+        materialByGroup.push({
+            group: key,
+            coil: coilProduct.sku,
+            linearFeet: totalNeeded.toFixed(2),
+            costPerFoot: costPerFoot.toFixed(4),
+            costSource,
+            materialCost: groupMaterialCost.toFixed(2)
+        });
+
+        // Which machines run the group, and their time as its labor. Only new
+        // coil goes through the roll-former or slitter, but pieces cut from
+        // remnants still have to be bent.
+        const machinePlan = planGroupMachines({ patterns, items: colorItems, gauge, coilWidth }, machines);
+        optimization[key].machines = {
+            runnable: machinePlan.runnable,
+            steps: machinePlan.steps,
+            problems: machinePlan.problems
+        };
+        laborCost += machinePlan.laborCost;
+
+        // Split the group's cost over its items by piece area so each
+        // product family can be priced with its own rule
+        const groupCost = groupMaterialCost + machinePlan.laborCost;
+        const areas = colorItems.map(item => item.quantity * item.length * Math.min(item.width, coilWidth));
+        const totalArea = areas.reduce((sum, area) => sum + area, 0);
+        colorItems.forEach((item, index) => {
+            itemCosts.set(item, totalArea > 0 ? groupCost * areas[index] / totalArea : 0);
+        });
+
+        totalLinearFeet += linearFeet;
+        totalWithScrap += totalNeeded;
+        materialCost += groupMaterialCost;
+    });
+
+    // Calculate pricing
+    const totalCost = materialCost + laborCost;
+
+    // Price each line with its family's rule
+    const byFamily = {};
+    let sellPrice = 0;
+    const lineItems = items.map(item => {
+        const family = itemFamily(item, coilWidth);
+        const cost = itemCosts.get(item);
+        const { price, rule } = priceForFamily(priceList, family, cost);
+
+        if (!byFamily[family]) {
+            byFamily[family] = { cost: 0, sellPrice: 0, rule };
+        }
+        byFamily[family].cost += cost;
+        byFamily[family].sellPrice += price;
+        sellPrice += price;
+
+        return {
+            productId: item.productId,
+            order: item.order,
+            description: item.description || null,
+            family,
+            color: item.color || null,
+            gauge: item.gauge,
+            quantity: item.quantity,
+            length: item.length,
+            width: item.width,
+            cost: cost.toFixed(2),
+            unitPrice: (price / item.quantity).toFixed(2),
+            extendedPrice: price.toFixed(2)
+        };
+    });
+    Object.values(byFamily).forEach(family => {
+        family.cost = family.cost.toFixed(2);
+        family.sellPrice = family.sellPrice.toFixed(2);
+    });
+
+    // Groups we can't cut from stock on hand
+    let availability = null;
+    if (stock) {
+        const short = Object.keys(optimization).filter(key => optimization[key].availability.shortfallFeet > 0);
+        availability = {
+            allAvailable: short.length === 0,
+            shortGroups: short,
+            shortfallFeet: Number(short
+                .reduce((sum, key) => sum + optimization[key].availability.shortfallFeet, 0)
+                .toFixed(2))
+        };
+    }
+
+    // Work the registered machines can't do
+    const machineProblems = Object.values(optimization).flatMap(group => group.machines.problems);
+
+    return {
+        optimization,
+        lineItems,
+        summary: {
+            totalLinearFeet: totalLinearFeet.toFixed(2),
+            scrapFeet: (totalWithScrap - totalLinearFeet).toFixed(2),
+            totalWithScrap: totalWithScrap.toFixed(2),
+            scrapPercent: BUSINESS_CONFIG.scrapFactor * 100 + '%',
+            totalCoilsNeeded: Math.ceil(totalWithScrap / BUSINESS_CONFIG.standardRollLength),
+            remnantsUsed,
+            coilWidth: coilWidth,
+            availability,
+            machines: {
+                runnable: machineProblems.length === 0,
+                problems: machineProblems
+            },
+            pricing: {
+                materialCost: materialCost.toFixed(2),
+                materialByGroup,
+                laborCost: laborCost.toFixed(2),
+                totalCost: totalCost.toFixed(2),
+                sellPrice: sellPrice.toFixed(2),
+                margin: (sellPrice - totalCost).toFixed(2),
+                marginPercent: totalCost > 0 ? ((sellPrice - totalCost) / totalCost * 100).toFixed(0) + '%' : 'N/A',
+                priceList: priceList.name,
+                customerId: priceList.customerId || null,
+                byFamily
+            }
+        }
+    };
+}
+
+// Helper function to select appropriate coil product. Coil SKUs are the
+// base code from PRODUCT_CATEGORIES.coils (width + gauge, e.g. CO4387526)
+// followed by the color code.
+function selectCoilProduct(color, width, gauge = BUSINESS_CONFIG.defaultGauge) {
+    // Map color to your product codes
+    const colorCode = getColorCode(color);
+    const baseCode = coilBaseCode(width, gauge);
+
+    return {
+        sku: `${baseCode}${colorCode}`,
+        baseCode,
+        stocked: PRODUCT_CATEGORIES.coils.includes(baseCode)
+    };
+}
+
+module.exports = {
+    optimizeCoil,
+    validateItems,
+    selectCoilProduct
+};
@@ -0,0 +1,129 @@
+// Panel profile catalog and panel counts from wall/roof dimensions
+//
+// Each panel prefix is the same Ag rib profile rolled in a different gauge.
+// Panels cover `coverageWidth` inches across the run and are cut to the
+// slope length plus overhang. Runs longer than the profile's maximum length
+// are split into several panels lapped end to end.
+const { BUSINESS_CONFIG } = require('./config');
+const { PANEL_GAUGES, resolveColor } = require('./products');
+
+const AG_PANEL = {
+    coverageWidth: 36, // inches
+    ribSpacing: 9, // inches between major ribs
+    ribHeight: 0.75,
+    minLength: 3, // feet
+    maxLength: 40, // feet, longest panel we can ship
+    endLap: 6, // inches where panels join along the slope
+    screwsPerPurlin: 5 // field screws across one panel at each purlin
+};
+
+const PANEL_PROFILES = {
+    A4: { name: 'Ag Panel 24ga', gauge: PANEL_GAUGES.A4, ...AG_PANEL },
+    A6: { name: 'Ag Panel 26ga', gauge: PANEL_GAUGES.A6, ...AG_PANEL },
+    A8: { name: 'Ag Panel 29ga', gauge: PANEL_GAUGES.A8, ...AG_PANEL }
+};
+
+const DEFAULT_OVERHANG = 2; // inches past the eave
+
+// Check a panel calculation request, returns a list of problems
+function validatePanelRequest({ profile, color, runLength, slopeLength, overhang }) {
+    const errors = [];
+    if (!PANEL_PROFILES[String(profile).toUpperCase()]) {
+        errors.push(`profile must be one of ${Object.keys(PANEL_PROFILES).join(', ')}`);
+    }
+    if (color !== undefined && !resolveColor(color)) {
+        errors.push(`unknown color ${color}`);
+    }
+    if (!(Number(runLength) > 0)) {
+        errors.push('runLength must be a positive number of feet');
+    }
+    if (!(Number(slopeLength) > 0)) {
+        errors.push('slopeLength must be a positive number of feet');
+    }
+    if (overhang !== undefined && !(Number(overhang) >= 0)) {
+        errors.push('overhang must be zero or more inches');
+    }
+    return errors;
+}
+
+// Round feet up to the next quarter inch
+function roundUpLength(feet) {
+    return Math.ceil(feet * 48 - 1e-9) / 48;
+}
+
+// Split one course of `cutLength` feet into panels within the profile's
+// length limits, lapped end to end. Adds any warnings to `warnings`.
+function splitCourse(spec, cutLength, warnings = []) {
+    // At least one piece, even a course shorter than the end lap
+    const piecesPerCourse = Math.max(1, Math.ceil(
+        (cutLength * 12 - spec.endLap) / (spec.maxLength * 12 - spec.endLap) - 1e-9
+    ));
+    let pieceLength = roundUpLength(
+        (cutLength + ((piecesPerCourse - 1) * spec.endLap) / 12) / piecesPerCourse
+    );
+    if (piecesPerCourse > 1) {
+        warnings.push(`${cutLength.toFixed(2)} ft exceeds the ${spec.maxLength} ft maximum, ` +
+            `${piecesPerCourse} panels per course with ${spec.endLap}" end laps`);
+    }
+    if (pieceLength < spec.minLength) {
+        warnings.push(`${pieceLength.toFixed(2)} ft is under the ${spec.minLength} ft minimum, cut at ${spec.minLength} ft`);
+        pieceLength = spec.minLength;
+    }
+    return { piecesPerCourse, pieceLength };
+}
+
+// Panels to cover a wall or roof plane `runLength` feet wide with panels
+// running `slopeLength` feet (eave to ridge, or base to top of wall)
+function calculatePanels({
+    profile,
+    color,
+    runLength,
+    slopeLength,
+    overhang = DEFAULT_OVERHANG,
+    coilWidth = 43.875
+}) {
+    const prefix = String(profile).toUpperCase();
+    const spec = PANEL_PROFILES[prefix];
+    const resolved = resolveColor(color);
+    const warnings = [];
+
+    const panelCount = Math.ceil((Number(runLength) * 12) / spec.coverageWidth - 1e-9);
+    // The last panel only needs to cover what's left, it gets ripped down
+    const lastPanelCoverage = Number((Number(runLength) * 12 - (panelCount - 1) * spec.coverageWidth).toFixed(3));
+
+    const cutLength = Number(slopeLength) + Number(overhang) / 12;
+    const { piecesPerCourse, pieceLength } = splitCourse(spec, cutLength, warnings);
+
+    const quantity = panelCount * piecesPerCourse;
+    return {
+        profile: { prefix, ...spec },
+        color: resolved ? resolved.color : null,
+        runLength: Number(runLength),
+        slopeLength: Number(slopeLength),
+        overhang: Number(overhang),
+        panelCount,
+        lastPanelCoverage,
+        piecesPerCourse,
+        cutLength: Number(pieceLength.toFixed(4)),
+        totalPanels: quantity,
+        panelFeet: Number((quantity * pieceLength).toFixed(2)),
+        coveredSquareFeet: Number((Number(runLength) * Number(slopeLength)).toFixed(2)),
+        warnings,
+        items: [{
+            productId: `${prefix}${resolved ? resolved.colorCode : ''}`,
+            description: `${spec.name}${resolved ? ` ${resolved.color}` : ''}`,
+            color: resolved ? resolved.color : 'UNSPECIFIED',
+            gauge: spec.gauge || BUSINESS_CONFIG.defaultGauge,
+            quantity,
+            length: Number(pieceLength.toFixed(4)),
+            width: coilWidth
+        }]
+    };
+}
+
+module.exports = {
+    PANEL_PROFILES,
+    validatePanelRequest,
+    splitCourse,
+    calculatePanels
+};
@@ -0,0 +1,325 @@
+// Paradigm ERP API client used by every route that talks to Paradigm
+//
+// - Caches the auth token, refreshes it and retries once when Paradigm
+//   answers 401
+// - Backs off and retries on 429, 5xx and network errors. Writes are only
+//   retried when Paradigm can't have processed them (401 and 429).
+// - Opens a circuit breaker after repeated failures so callers fail fast
+//   while Paradigm is down
+// - Keeps call timings per endpoint for /api/paradigm/status
+// - Walks paged list endpoints a few pages at a time
+const axios = require('axios');
+
+const DEFAULTS = {
+    timeout: 30000,
+    authTimeout: 10000,
+    maxRetries: 3,
+    retryBaseDelay: 500, // ms, doubled on each retry
+    maxRetryDelay: 10000,
+    failureThreshold: 5, // consecutive failures before the circuit opens
+    resetTimeout: 30000, // ms the circuit stays open before a trial call
+    tokenLifetime: 3600000, // used when the token carries no expiry
+    tokenRefreshMargin: 60000,
+    timingSamples: 100,
+    pageSize: 500,
+    pageConcurrency: 3,
+    maxPages: 200
+};
+
+class ParadigmUnavailableError extends Error {
+    constructor(retryAt) {
+        super('Paradigm ERP is unavailable, try again shortly');
+        this.name = 'ParadigmUnavailableError';
+        this.code = 'PARADIGM_UNAVAILABLE';
+        this.retryAt = retryAt;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Expiry from a JWT's exp claim, or null if the token isn't a JWT
+function tokenExpiry(token) {
+    if (typeof token !== 'string' || token.split('.').length !== 3) {
+        return null;
+    }
+    try {
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString('utf8'));
+        return payload.exp ? new Date(payload.exp * 1000) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function isRetryable(error) {
+    if (!error.response) {
+        return true; // network error or timeout
+    }
+    const status = error.response.status;
+    return status === 429 || status >= 500;
+}
+
+// Delay before the next attempt, honouring Retry-After when Paradigm sends it
+function retryDelay(error, attempt, options) {
+    const retryAfter = error.response && Number(error.response.headers['retry-after']);
+    if (retryAfter > 0) {
+        return Math.min(retryAfter * 1000, options.maxRetryDelay);
+    }
+    const backoff = options.retryBaseDelay * Math.pow(2, attempt);
+    return Math.min(backoff + Math.random() * options.retryBaseDelay, options.maxRetryDelay);
+}
+
+// Group timings by endpoint shape, e.g. GET /api/SalesOrder/:n/:n
+function endpointKey(method, path) {
+    return `${method.toUpperCase()} ${path.replace(/\/\d+(?=\/|$)/g, '/:n')}`;
+}
+
+function createParadigmClient({ getConfig, logger, options: overrides = {} }) {
+    const options = { ...DEFAULTS, ...overrides };
+
+    let authToken = null;
+    let tokenExpiresAt = null;
+    let pendingAuth = null;
+
+    const circuit = {
+        state: 'closed',
+        failures: 0,
+        openedAt: null
+    };
+
+    const timings = {};
+
+    function recordTiming(key, ms, ok) {
+        if (!timings[key]) {
+            timings[key] = { count: 0, errors: 0, samples: [] };
+        }
+        const entry = timings[key];
+        entry.count++;
+        if (!ok) {
+            entry.errors++;
+        }
+        entry.samples.push(ms);
+        if (entry.samples.length > options.timingSamples) {
+            entry.samples.shift();
+        }
+    }
+
+    function recordSuccess() {
+        if (circuit.state !== 'closed') {
+            logger.info('✅ Paradigm circuit closed');
+        }
+        circuit.state = 'closed';
+        circuit.failures = 0;
+        circuit.openedAt = null;
+    }
+
+    function recordFailure() {
+        circuit.failures++;
+        if (circuit.state === 'half-open' || circuit.failures >= options.failureThreshold) {
+            if (circuit.state !== 'open') {
+                logger.error(`Paradigm circuit opened after ${circuit.failures} consecutive failures`);
+            }
+            circuit.state = 'open';
+            circuit.openedAt = Date.now();
+        }
+    }
+
+    // Throws while the circuit is open; lets one trial call through once the
+    // reset timeout has passed. Other calls fail fast until that trial
+    // succeeds (closing the circuit) or fails (opening it again).
+    function checkCircuit() {
+        if (circuit.state === 'half-open') {
+            throw new ParadigmUnavailableError(null);
+        }
+        if (circuit.state !== 'open') {
+            return;
+        }
+        const retryAt = circuit.openedAt + options.resetTimeout;
+        if (Date.now() < retryAt) {
+            throw new ParadigmUnavailableError(new Date(retryAt).toISOString());
+        }
+        circuit.state = 'half-open';
+    }
+
+    async function timed(key, call) {
+        const started = Date.now();
+        try {
+            const response = await call();
+            recordTiming(key, Date.now() - started, true);
+            return response;
+        } catch (error) {
+            recordTiming(key, Date.now() - started, false);
+            throw error;
+        }
+    }
+
+    async function fetchToken() {
+        const config = getConfig();
+        const response = await timed('POST /api/user/Auth/GetToken', () => axios.post(
+            `${config.baseURL}/api/user/Auth/GetToken`,
+            {
+                userName: config.username,
+                password: config.password
+            },
+            {
+                headers: {
+                    'x-api-key': config.apiKey,
+                    'Content-Type': 'application/json'
+                },
+                timeout: options.authTimeout
+            }
+        ));
+
+        authToken = response.data;
+        tokenExpiresAt = tokenExpiry(authToken) || new Date(Date.now() + options.tokenLifetime);
+
+        logger.info('✅ Authenticated with Paradigm ERP');
+        return authToken;
+    }
+
+    // Token for the next call. Concurrent callers share one auth request.
+    async function authenticate({ force = false } = {}) {
+        if (!force && authToken && tokenExpiresAt &&
+            Date.now() < tokenExpiresAt.getTime() - options.tokenRefreshMargin) {
+            return authToken;
+        }
+        if (!pendingAuth) {
+            pendingAuth = fetchToken().finally(() => {
+                pendingAuth = null;
+            });
+        }
+        try {
+            return await pendingAuth;
+        } catch (error) {
+            logger.error('Authentication failed:', error.message);
+            // Nothing was sent yet, callers can tell this apart from a lost write
+            const authError = new Error('Failed to authenticate with Paradigm');
+            authError.code = 'PARADIGM_AUTH_FAILED';
+            throw authError;
+        }
+    }
+
+    function invalidateToken() {
+        authToken = null;
+        tokenExpiresAt = null;
+    }
+
+    async function request(method, path, { data, timeout } = {}) {
+        checkCircuit();
+
+        const config = getConfig();
+        const key = endpointKey(method, path);
+        const idempotent = method.toUpperCase() === 'GET';
+        let reauthenticated = false;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const token = await authenticate();
+                const response = await timed(key, () => axios.request({
+                    method,
+                    url: `${config.baseURL}${path}`,
+                    data,
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'x-api-key': config.apiKey,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: timeout || options.timeout
+                }));
+                recordSuccess();
+                return response.data;
+            } catch (error) {
+                const status = error.response && error.response.status;
+
+                // Token expired early: refresh once and try again
+                if (status === 401 && !reauthenticated) {
+                    logger.warn(`Paradigm returned 401 for ${key}, re-authenticating`);
+                    invalidateToken();
+                    reauthenticated = true;
+                    attempt--;
+                    continue;
+                }
+
+                const retryable = isRetryable(error) && (idempotent || status === 429);
+                if (retryable && attempt < options.maxRetries) {
+                    const delay = retryDelay(error, attempt, options);
+                    logger.warn(`Paradigm ${key} failed (${status || error.code || error.message}), retry ${attempt + 1} in ${Math.round(delay)}ms`);
+                    await sleep(delay);
+                    continue;
+                }
+
+                // Client errors mean Paradigm is up, only count outages
+                if (!status || status === 429 || status >= 500) {
+                    recordFailure();
+                } else {
+                    recordSuccess();
+                }
+                throw error;
+            }
+        }
+    }
+
+    // Fetch every page of a paged list endpoint. pagePath(page, pageSize)
+    // builds the path for a 1-based page; a short page marks the end. Pages
+    // are requested `pageConcurrency` at a time.
+    async function getAllPages(pagePath, { pageSize = options.pageSize, concurrency = options.pageConcurrency } = {}) {
+        const rows = [];
+        for (let first = 1; first <= options.maxPages; first += concurrency) {
+            const pages = [];
+            for (let page = first; page < first + concurrency && page <= options.maxPages; page++) {
+                pages.push(page);
+            }
+            const results = await Promise.all(pages.map(page => request('get', pagePath(page, pageSize))));
+
+            for (const data of results) {
+                const pageRows = Array.isArray(data) ? data : [];
+                rows.push(...pageRows);
+                if (pageRows.length < pageSize) {
+                    return rows;
+                }
+            }
+        }
+        logger.warn(`Stopped paging after ${options.maxPages} pages of ${pageSize}`);
+        return rows;
+    }
+
+    function stats() {
+        const calls = {};
+        Object.entries(timings).forEach(([key, entry]) => {
+            const sorted = [...entry.samples].sort((a, b) => a - b);
+            calls[key] = {
+                count: entry.count,
+                errors: entry.errors,
+                avgMs: Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length),
+                p95Ms: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+                maxMs: sorted[sorted.length - 1]
+            };
+        });
+        return {
+            authenticated: !!authToken,
+            tokenExpiresAt: tokenExpiresAt ? tokenExpiresAt.toISOString() : null,
+            circuit: {
+                state: circuit.state,
+                consecutiveFailures: circuit.failures,
+                openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null
+            },
+            calls
+        };
+    }
+
+    return {
+        authenticate,
+        request,
+        get: (path, requestOptions) => request('get', path, requestOptions),
+        post: (path, data, requestOptions) => request('post', path, { ...requestOptions, data }),
+        getAllPages,
+        isAuthenticated: () => !!authToken,
+        stats
+    };
+}
+
+module.exports = {
+    createParadigmClient,
+    ParadigmUnavailableError
+};
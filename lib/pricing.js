@@ -0,0 +1,140 @@
+// Customer price lists: margin or markup rules per product family
+//
+// A rule is either { markup: 0.30 } (price = cost * 1.30) or
+// { margin: 0.30 } (price = cost / 0.70). Rules are keyed by product family
+// (coil, panel, trim) with `default` covering anything not listed.
+const { BUSINESS_CONFIG } = require('./config');
+const { decodeProductId } = require('./products');
+
+const PRICE_LIST_COLLECTION = 'priceLists';
+const CUSTOMER_COLLECTION = 'customers';
+
+const FAMILIES = ['coil', 'panel', 'trim', 'default'];
+
+// Built-in lists. A Firestore list with the same name overrides these.
+const PRICE_LISTS = {
+    standard: {
+        rules: { default: { markup: BUSINESS_CONFIG.pricing.marginPercent } }
+    },
+    retail: {
+        rules: { panel: { markup: 0.40 }, trim: { markup: 0.50 }, default: { markup: 0.40 } }
+    },
+    contractor: {
+        rules: { panel: { markup: 0.25 }, trim: { markup: 0.35 }, default: { markup: 0.25 } }
+    },
+    dealer: {
+        rules: { panel: { markup: 0.15 }, trim: { markup: 0.25 }, default: { markup: 0.15 } }
+    }
+};
+
+const DEFAULT_PRICE_LIST = 'standard';
+
+// Check a set of price list rules, returns a list of problems
+function validateRules(rules) {
+    if (!rules || typeof rules !== 'object') {
+        return ['rules must be an object keyed by product family'];
+    }
+    const errors = [];
+    Object.entries(rules).forEach(([family, rule]) => {
+        if (!FAMILIES.includes(family)) {
+            errors.push(`rules.${family}: family must be one of ${FAMILIES.join(', ')}`);
+            return;
+        }
+        const hasMarkup = rule && rule.markup !== undefined;
+        const hasMargin = rule && rule.margin !== undefined;
+        if (hasMarkup === hasMargin) {
+            errors.push(`rules.${family} must set exactly one of markup or margin`);
+        } else if (hasMarkup && !(Number(rule.markup) >= 0)) {
+            errors.push(`rules.${family}.markup must be zero or more`);
+        } else if (hasMargin && !(Number(rule.margin) >= 0 && Number(rule.margin) < 1)) {
+            errors.push(`rules.${family}.margin must be at least 0 and below 1`);
+        }
+    });
+    return errors;
+}
+
+async function listPriceLists(firestore) {
+    const snapshot = await firestore.collection(PRICE_LIST_COLLECTION).get();
+    const lists = {};
+    Object.entries(PRICE_LISTS).forEach(([name, list]) => {
+        lists[name] = { name, builtIn: true, ...list };
+    });
+    snapshot.docs.forEach(doc => {
+        lists[doc.id] = { name: doc.id, builtIn: false, ...doc.data() };
+    });
+    return lists;
+}
+
+async function savePriceList(firestore, name, rules) {
+    const list = { rules, updatedAt: new Date().toISOString() };
+    await firestore.collection(PRICE_LIST_COLLECTION).doc(name).set(list);
+    return { name, builtIn: false, ...list };
+}
+
+// Assign a customer to a named list, optionally with their own rules on top
+async function setCustomerPricing(firestore, customerId, { priceList, rules }) {
+    const pricing = {
+        priceList: priceList || DEFAULT_PRICE_LIST,
+        rules: rules || null,
+        updatedAt: new Date().toISOString()
+    };
+    await firestore.collection(CUSTOMER_COLLECTION).doc(customerId).set({ pricing }, { merge: true });
+    return { customerId, ...pricing };
+}
+
+// Work out which rules apply to a request. A customer's own rules win over
+// their assigned list, an explicit priceList wins over the customer's list.
+// Returns null if a named list doesn't exist.
+async function resolvePriceList(firestore, { customerId, priceList } = {}) {
+    let customerPricing = null;
+    if (customerId) {
+        const doc = await firestore.collection(CUSTOMER_COLLECTION).doc(String(customerId)).get();
+        customerPricing = doc.exists ? doc.data().pricing || null : null;
+    }
+
+    const name = priceList || (customerPricing && customerPricing.priceList) || DEFAULT_PRICE_LIST;
+    const lists = await listPriceLists(firestore);
+    if (!lists[name]) {
+        return null;
+    }
+
+    const rules = { ...lists[name].rules };
+    if (customerPricing && customerPricing.rules && !priceList) {
+        Object.assign(rules, customerPricing.rules);
+    }
+    return { name, customerId: customerId ? String(customerId) : null, rules };
+}
+
+// Product family used to pick a pricing rule
+function itemFamily(item, coilWidth) {
+    const decoded = decodeProductId(item.productId);
+    if (decoded) {
+        return decoded.family;
+    }
+    return item.width >= coilWidth ? 'panel' : 'trim';
+}
+
+function applyRule(cost, rule) {
+    if (rule.margin !== undefined) {
+        return cost / (1 - Number(rule.margin));
+    }
+    return cost * (1 + Number(rule.markup));
+}
+
+function priceForFamily(priceList, family, cost) {
+    const rule = priceList.rules[family] || priceList.rules.default ||
+        PRICE_LISTS[DEFAULT_PRICE_LIST].rules.default;
+    return { price: applyRule(cost, rule), rule };
+}
+
+module.exports = {
+    PRICE_LISTS,
+    DEFAULT_PRICE_LIST,
+    validateRules,
+    listPriceLists,
+    savePriceList,
+    setCustomerPricing,
+    resolvePriceList,
+    itemFamily,
+    priceForFamily
+};
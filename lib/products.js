@@ -0,0 +1,128 @@
+// Greenfield product ID (SKU) decoding and color lookups
+//
+// SKU formats:
+//   Coil   CO + width code + gauge + color   CO4387529AG = 43.875" 29ga Ash Gray
+//   Panel  panel prefix + color              A6BK        = 26ga Ag panel, Black
+//   Trim   trim name + '-' + color           RIDGE-AG    = Ridge Cap, Ash Gray
+const { PRODUCT_CATEGORIES } = require('./config');
+
+// Width codes used in coil SKUs (the decimal point is dropped)
+const COIL_WIDTH_CODES = {
+    '20': 20,
+    '43875': 43.875
+};
+
+// Gauge each panel prefix is rolled in
+const PANEL_GAUGES = {
+    'A4': 24,
+    'A6': 26,
+    'A8': 29
+};
+
+function getColorCode(colorName) {
+    // Reverse lookup from your color names to codes
+    for (const [code, name] of Object.entries(PRODUCT_CATEGORIES.colors)) {
+        if (name.toLowerCase() === colorName.toLowerCase()) {
+            return code;
+        }
+    }
+    return 'CUSTOM';
+}
+
+function getColorName(colorCode) {
+    return PRODUCT_CATEGORIES.colors[String(colorCode).toUpperCase()] || null;
+}
+
+// Resolve a color code or color name to { colorCode, color }
+function resolveColor(value) {
+    if (!value) {
+        return null;
+    }
+    const text = String(value).trim();
+    const code = getColorName(text) ? text.toUpperCase() : getColorCode(text);
+    return code === 'CUSTOM' ? null : { colorCode: code, color: getColorName(code) };
+}
+
+// Base coil code for a width and gauge, e.g. (43.875, 26) -> CO4387526
+function coilBaseCode(width, gauge) {
+    return `CO${String(width).replace('.', '')}${gauge}`;
+}
+
+function decodeCoil(productId) {
+    for (const [widthCode, width] of Object.entries(COIL_WIDTH_CODES)) {
+        // The color is optional so base codes like CO4387526 decode too
+        const match = productId.match(new RegExp(`^CO${widthCode}(\\d{2})([A-Z]*)$`));
+        if (match && (match[2] === '' || getColorName(match[2]))) {
+            return {
+                family: 'coil',
+                baseCode: `CO${widthCode}${match[1]}`,
+                width,
+                gauge: Number(match[1]),
+                colorCode: match[2] || null
+            };
+        }
+    }
+    return null;
+}
+
+function decodePanel(productId) {
+    const prefix = PRODUCT_CATEGORIES.panels.find(p => productId.startsWith(p));
+    if (!prefix) {
+        return null;
+    }
+    const colorCode = productId.slice(prefix.length);
+    if (colorCode && !getColorName(colorCode)) {
+        return null;
+    }
+    return {
+        family: 'panel',
+        profile: prefix,
+        width: null,
+        gauge: PANEL_GAUGES[prefix] || null,
+        colorCode: colorCode || null
+    };
+}
+
+function decodeTrim(productId) {
+    const separator = productId.lastIndexOf('-');
+    const colorCode = separator > 0 ? productId.slice(separator + 1) : '';
+    if (!getColorName(colorCode)) {
+        return null;
+    }
+    const name = productId.slice(0, separator);
+    const known = PRODUCT_CATEGORIES.trim.find(trim => trim.toUpperCase() === name.toUpperCase());
+    return {
+        family: 'trim',
+        profile: known || name,
+        width: null,
+        gauge: null,
+        colorCode
+    };
+}
+
+// Break a SKU into structured fields. Returns null if it isn't one of ours.
+function decodeProductId(productId) {
+    if (!productId) {
+        return null;
+    }
+    const sku = String(productId).trim().toUpperCase();
+    const decoded = decodeCoil(sku) || decodePanel(sku) || decodeTrim(sku);
+    if (!decoded) {
+        return null;
+    }
+    return {
+        productId: sku,
+        ...decoded,
+        colorName: decoded.colorCode ? getColorName(decoded.colorCode) : null
+    };
+}
+
+module.exports = {
+    COIL_WIDTH_CODES,
+    PANEL_GAUGES,
+    getColorCode,
+    getColorName,
+    resolveColor,
+    coilBaseCode,
+    decodeProductId
+};
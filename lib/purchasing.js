@@ -0,0 +1,204 @@
+// Coil reorder suggestions from the open order backlog, stock and lead times
+//
+// Per coil SKU: projected stock is on hand less the feet the open sales
+// orders need (optimized together) less coil reserved for quotes. When that
+// falls to the reorder point, order back up to the max level. The reorder
+// point defaults to safety stock plus expected use over the lead time.
+const { BUSINESS_CONFIG } = require('./config');
+const { decodeProductId } = require('./products');
+const { optimizeCoil } = require('./optimizer');
+const { firstField, orderToItems } = require('./cutlist');
+const { extractOrderNumber } = require('./sales-orders');
+const { weightFromFeet } = require('./conversions');
+
+const COLLECTION = 'reorderSettings';
+
+const SETTING_FIELDS = ['reorderPoint', 'minFeet', 'maxFeet', 'leadTimeDays', 'dailyUsageFeet'];
+
+// Paradigm order status fields and the statuses that mean it's done
+const STATUS_FIELDS = ['StrStatus', 'StrOrderStatus', 'Status'];
+const CLOSED_STATUSES = ['closed', 'complete', 'completed', 'invoiced', 'shipped', 'cancelled', 'canceled', 'void'];
+
+// 'open', 'closed', or 'unknown' when the row carries no status at all
+function orderStatus(order) {
+    const status = firstField(order, STATUS_FIELDS);
+    if (status === undefined) {
+        return 'unknown';
+    }
+    return CLOSED_STATUSES.includes(String(status).trim().toLowerCase()) ? 'closed' : 'open';
+}
+
+// Check reorder settings, returns a list of problems
+function validateSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        return ['settings must be an object'];
+    }
+    const errors = [];
+    SETTING_FIELDS.forEach(field => {
+        if (settings[field] !== undefined && settings[field] !== null && !(Number(settings[field]) >= 0)) {
+            errors.push(`${field} must be zero or more`);
+        }
+    });
+    const { minFeet, maxFeet } = settings;
+    if (minFeet !== undefined && maxFeet !== undefined && Number(maxFeet) < Number(minFeet)) {
+        errors.push('maxFeet must be at least minFeet');
+    }
+    return errors;
+}
+
+async function loadSettings(firestore) {
+    const snapshot = await firestore.collection(COLLECTION).get();
+    const table = {};
+    snapshot.docs.forEach(doc => {
+        table[doc.id] = doc.data();
+    });
+    return table;
+}
+
+// Save settings for a coil SKU or a whole base code. Returns null if the
+// SKU isn't a coil.
+async function saveSettings(firestore, sku, settings) {
+    const decoded = decodeProductId(sku);
+    if (!decoded || decoded.family !== 'coil') {
+        return null;
+    }
+    const entry = { supplier: settings.supplier || null, updatedAt: new Date().toISOString() };
+    SETTING_FIELDS.forEach(field => {
+        entry[field] = settings[field] !== undefined && settings[field] !== null ? Number(settings[field]) : null;
+    });
+    await firestore.collection(COLLECTION).doc(decoded.productId).set(entry);
+    return { sku: decoded.productId, ...entry };
+}
+
+// Settings for a SKU: its own, then its base code's, then the defaults,
+// field by field
+function settingsFor(table, sku) {
+    const decoded = decodeProductId(sku);
+    const layers = [table[sku], decoded && table[decoded.baseCode]].filter(Boolean);
+    const pick = field => {
+        const layer = layers.find(entry => entry[field] !== undefined && entry[field] !== null);
+        return layer ? layer[field] : undefined;
+    };
+    const defaults = BUSINESS_CONFIG.purchasing;
+    return {
+        reorderPoint: pick('reorderPoint'),
+        minFeet: pick('minFeet') !== undefined ? pick('minFeet') : defaults.minFeet,
+        maxFeet: pick('maxFeet') !== undefined ? pick('maxFeet') : defaults.maxFeet,
+        leadTimeDays: pick('leadTimeDays') !== undefined ? pick('leadTimeDays') : defaults.leadTimeDays,
+        dailyUsageFeet: pick('dailyUsageFeet') || 0,
+        supplier: pick('supplier') || null,
+        source: table[sku] ? sku : (decoded && table[decoded.baseCode] ? decoded.baseCode : 'default')
+    };
+}
+
+// Coil feet the open orders need per SKU, with the orders behind each
+function orderBacklog(orders, coilWidth) {
+    const items = [];
+    const skipped = [];
+    orders.forEach(order => {
+        const orderNumber = extractOrderNumber(order);
+        const mapped = orderToItems(order, { coilWidth });
+        items.push(...mapped.items.map(item => ({ ...item, order: orderNumber })));
+        if (mapped.skipped.length > 0) {
+            skipped.push({ order: orderNumber, lines: mapped.skipped.length });
+        }
+    });
+
+    const backlog = new Map();
+    if (items.length > 0) {
+        const { optimization } = optimizeCoil(items, { coilWidth });
+        Object.values(optimization).forEach(group => {
+            const entry = backlog.get(group.recommendedCoil) || { feet: 0, orders: new Set() };
+            entry.feet += group.totalLinearFeet;
+            group.items.forEach(item => entry.orders.add(item.order));
+            backlog.set(group.recommendedCoil, entry);
+        });
+    }
+    return { backlog, skipped };
+}
+
+function roundUp(feet, increment) {
+    return Math.ceil(feet / increment - 1e-9) * increment;
+}
+
+// Reorder suggestions. `stock` maps coil SKU to on-hand feet, `quoteReserved`
+// maps SKU to feet reserved for quotes not yet ordered. With `all`, SKUs that
+// don't need ordering are listed too.
+function suggestReorders({ orders, stock, quoteReserved = new Map(), settings = {}, coilWidth = 43.875, all = false }) {
+    const { backlog, skipped } = orderBacklog(orders, coilWidth);
+    const increment = BUSINESS_CONFIG.purchasing.orderIncrementFeet;
+
+    const skus = new Set([
+        ...stock.keys(),
+        ...backlog.keys(),
+        ...quoteReserved.keys(),
+        ...Object.keys(settings).filter(sku => decodeProductId(sku) && decodeProductId(sku).colorCode)
+    ]);
+
+    const lines = [...skus].map(sku => {
+        const setting = settingsFor(settings, sku);
+        const onHandFeet = stock.get(sku) || 0;
+        const demand = backlog.get(sku) || { feet: 0, orders: new Set() };
+        const reservedFeet = quoteReserved.get(sku) || 0;
+        const projectedFeet = onHandFeet - demand.feet - reservedFeet;
+
+        const leadTimeUsage = setting.dailyUsageFeet * setting.leadTimeDays;
+        const reorderPoint = setting.reorderPoint !== undefined
+            ? setting.reorderPoint
+            : setting.minFeet + leadTimeUsage;
+        const orderUpTo = Math.max(setting.maxFeet, reorderPoint);
+
+        const needsOrder = projectedFeet <= reorderPoint && orderUpTo > projectedFeet;
+        const suggestedFeet = needsOrder ? roundUp(orderUpTo - projectedFeet, increment) : 0;
+        const status = projectedFeet < 0 ? 'critical' : (needsOrder ? 'reorder' : 'ok');
+
+        // Ordered today, it lands after the lead time
+        const arrivesBy = new Date(Date.now() + setting.leadTimeDays * 24 * 60 * 60 * 1000);
+
+        return {
+            sku,
+            color: decodeProductId(sku) ? decodeProductId(sku).colorName : null,
+            status,
+            onHandFeet: Number(onHandFeet.toFixed(2)),
+            backlogFeet: Number(demand.feet.toFixed(2)),
+            backlogOrders: [...demand.orders],
+            quoteReservedFeet: Number(reservedFeet.toFixed(2)),
+            projectedFeet: Number(projectedFeet.toFixed(2)),
+            reorderPoint: Number(reorderPoint.toFixed(2)),
+            minFeet: setting.minFeet,
+            maxFeet: setting.maxFeet,
+            leadTimeDays: setting.leadTimeDays,
+            supplier: setting.supplier,
+            settingsSource: setting.source,
+            suggestedFeet,
+            suggestedLbs: suggestedFeet > 0 ? weightFromFeet(sku, suggestedFeet) : 0,
+            arrivesBy: needsOrder ? arrivesBy.toISOString().slice(0, 10) : null
+        };
+    });
+
+    const rank = { critical: 0, reorder: 1, ok: 2 };
+    const suggestions = lines
+        .filter(line => all || line.status !== 'ok')
+        .sort((a, b) => rank[a.status] - rank[b.status] || a.projectedFeet - b.projectedFeet);
+
+    return {
+        generatedAt: new Date().toISOString(),
+        openOrders: orders.length,
+        skippedOrders: skipped,
+        suggestions,
+        summary: {
+            critical: lines.filter(line => line.status === 'critical').length,
+            reorder: lines.filter(line => line.status === 'reorder').length,
+            totalSuggestedFeet: suggestions.reduce((sum, line) => sum + line.suggestedFeet, 0),
+            totalSuggestedLbs: Number(suggestions.reduce((sum, line) => sum + (line.suggestedLbs || 0), 0).toFixed(2))
+        }
+    };
+}
+
+module.exports = {
+    orderStatus,
+    validateSettings,
+    loadSettings,
+    saveSettings,
+    suggestReorders
+};
@@ -0,0 +1,262 @@
+// Numbered quotes saved in Firestore, with a printable HTML rendering
+const { BUSINESS_CONFIG } = require('./config');
+
+const COLLECTION = 'quotes';
+const COUNTER_DOC = 'counters/quotes';
+
+// Check the customer block of a quote request, returns a list of problems
+function validateCustomer(customer) {
+    if (!customer || typeof customer !== 'object') {
+        return ['customer is required'];
+    }
+    const errors = customer.name ? [] : ['customer.name is required'];
+    if (customer.id && typeof customer.id !== 'string' && !Number.isFinite(customer.id)) {
+        errors.push('customer.id must be a string or a number');
+    }
+    return errors;
+}
+
+// Next quote number from a Firestore counter, e.g. Q-000042
+async function nextQuoteNumber(firestore) {
+    const counterRef = firestore.doc(COUNTER_DOC);
+    const next = await firestore.runTransaction(async transaction => {
+        const doc = await transaction.get(counterRef);
+        const value = (doc.exists ? doc.data().value : 0) + 1;
+        transaction.set(counterRef, { value });
+        return value;
+    });
+    return `Q-${String(next).padStart(6, '0')}`;
+}
+
+// Save a quote for an optimizer result. The quote number is also the
+// document ID.
+async function createQuote(firestore, { customer, items, coilWidth, notes, validDays, result }) {
+    const quoteNumber = await nextQuoteNumber(firestore);
+    const createdAt = new Date();
+    const expiresAt = new Date(createdAt.getTime() +
+        (validDays || BUSINESS_CONFIG.quoteValidDays) * 24 * 60 * 60 * 1000);
+
+    const quote = {
+        quoteNumber,
+        status: 'open',
+        customer: {
+            // Stored as a string so lookups by customer id always match
+            id: customer.id ? String(customer.id) : null,
+            name: customer.name,
+            company: customer.company || null,
+            email: customer.email || null,
+            phone: customer.phone || null,
+            address: customer.address || null
+        },
+        items,
+        coilWidth,
+        lineItems: result.lineItems,
+        optimization: result.optimization,
+        summary: result.summary,
+        notes: notes || null,
+        createdAt: createdAt.toISOString(),
+        expiresAt: expiresAt.toISOString()
+    };
+
+    await firestore.collection(COLLECTION).doc(quoteNumber).set(quote);
+    return quote;
+}
+
+// Quotes past their expiry date read back as expired
+function withStatus(quote) {
+    if (quote.status === 'open' && new Date(quote.expiresAt) < new Date()) {
+        return { ...quote, status: 'expired' };
+    }
+    return quote;
+}
+
+async function getQuote(firestore, quoteNumber) {
+    const doc = await firestore.collection(COLLECTION).doc(quoteNumber).get();
+    return doc.exists ? withStatus(doc.data()) : null;
+}
+
+async function listQuotes(firestore, { customerId, limit = 50 } = {}) {
+    // A customer's quotes are sorted here so no composite index is needed
+    if (customerId) {
+        const snapshot = await firestore.collection(COLLECTION).where('customer.id', '==', String(customerId)).get();
+        return snapshot.docs
+            .map(doc => withStatus(doc.data()))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, Number(limit));
+    }
+    const snapshot = await firestore.collection(COLLECTION).orderBy('createdAt', 'desc').limit(Number(limit)).get();
+    return snapshot.docs.map(doc => withStatus(doc.data()));
+}
+
+// Lock an open quote while its sales order is created so it can't be
+// ordered twice. Returns { quote: null } if it doesn't exist and
+// { quote, claimed: false } if it isn't open.
+async function claimQuoteForOrder(firestore, quoteNumber) {
+    const ref = firestore.collection(COLLECTION).doc(quoteNumber);
+    return firestore.runTransaction(async transaction => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) {
+            return { quote: null, claimed: false };
+        }
+        const quote = withStatus(doc.data());
+        if (quote.status !== 'open') {
+            return { quote, claimed: false };
+        }
+        transaction.update(ref, { status: 'ordering' });
+        return { quote: { ...quote, status: 'ordering' }, claimed: true };
+    });
+}
+
+async function completeQuoteOrder(firestore, quoteNumber, paradigmOrderNumber) {
+    const update = {
+        status: 'ordered',
+        paradigmOrderNumber,
+        orderedAt: new Date().toISOString()
+    };
+    await firestore.collection(COLLECTION).doc(quoteNumber).update(update);
+    return update;
+}
+
+// Put a quote back to open after a failed order attempt
+async function releaseQuote(firestore, quoteNumber) {
+    await firestore.collection(COLLECTION).doc(quoteNumber).update({ status: 'open' });
+}
+
+// Paradigm may have taken the order without confirming it (a timeout, a 5xx
+// or no order number came back). The quote stays locked until someone checks
+// Paradigm and reconciles it.
+async function markOrderUnconfirmed(firestore, quoteNumber, { reason, paradigmCustomerId }) {
+    const update = {
+        status: 'order-unconfirmed',
+        orderError: reason || null,
+        paradigmCustomerId: paradigmCustomerId ? String(paradigmCustomerId) : null,
+        orderAttemptedAt: new Date().toISOString()
+    };
+    await firestore.collection(COLLECTION).doc(quoteNumber).update(update);
+    return update;
+}
+
+// Settle an unconfirmed order after checking Paradigm: with the order number
+// found there the quote is ordered, without one it's open again. Returns
+// { quote: null } if it doesn't exist and { quote, reconciled: false } if it
+// isn't awaiting reconciliation.
+async function reconcileQuoteOrder(firestore, quoteNumber, paradigmOrderNumber) {
+    const ref = firestore.collection(COLLECTION).doc(quoteNumber);
+    return firestore.runTransaction(async transaction => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) {
+            return { quote: null, reconciled: false };
+        }
+        const quote = doc.data();
+        if (quote.status !== 'order-unconfirmed') {
+            return { quote: withStatus(quote), reconciled: false };
+        }
+        const update = paradigmOrderNumber
+            ? { status: 'ordered', paradigmOrderNumber: String(paradigmOrderNumber), orderedAt: new Date().toISOString() }
+            : { status: 'open' };
+        transaction.update(ref, update);
+        return { quote: withStatus({ ...quote, ...update }), reconciled: true };
+    });
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatDate(iso) {
+    return new Date(iso).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// Printable quote document. Browsers print it straight to PDF.
+function renderQuoteHtml(quote) {
+    const { customer, summary } = quote;
+    const rows = quote.lineItems.map(line => `
+            <tr>
+                <td>${escapeHtml(line.productId)}</td>
+                <td>${escapeHtml(line.description || '')}</td>
+                <td>${escapeHtml(line.color || '')} ${escapeHtml(line.gauge)}ga</td>
+                <td class="num">${escapeHtml(line.quantity)}</td>
+                <td class="num">${escapeHtml(line.length)}'</td>
+                <td class="num">$${escapeHtml(line.unitPrice)}</td>
+                <td class="num">$${escapeHtml(line.extendedPrice)}</td>
+            </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <title>Quote ${escapeHtml(quote.quoteNumber)} - ProCoil Enterprise</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial; color: #2c3e50; margin: 40px; }
+        .header { display: flex; justify-content: space-between; border-bottom: 3px solid #667eea; padding-bottom: 15px; }
+        .header h1 { margin: 0; color: #667eea; }
+        .meta { text-align: right; }
+        .customer { margin: 25px 0; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th { background: #f8f9fa; text-align: left; padding: 8px; border-bottom: 2px solid #dee2e6; }
+        td { padding: 8px; border-bottom: 1px solid #dee2e6; }
+        .num { text-align: right; }
+        .totals { width: 300px; margin-left: auto; }
+        .totals td { border: none; }
+        .total { font-weight: 700; font-size: 1.2em; }
+        .notes { margin-top: 30px; font-size: 0.9em; color: #6c757d; }
+        @media print { body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>⚡ ProCoil Enterprise</h1>
+        <div class="meta">
+            <div><strong>Quote ${escapeHtml(quote.quoteNumber)}</strong></div>
+            <div>Date: ${escapeHtml(formatDate(quote.createdAt))}</div>
+            <div>Valid until: ${escapeHtml(formatDate(quote.expiresAt))}</div>
+        </div>
+    </div>
+    <div class="customer">
+        <strong>${escapeHtml(customer.name)}</strong><br>
+        ${customer.company ? `${escapeHtml(customer.company)}<br>` : ''}
+        ${customer.address ? `${escapeHtml(customer.address)}<br>` : ''}
+        ${customer.phone ? `${escapeHtml(customer.phone)}<br>` : ''}
+        ${customer.email ? escapeHtml(customer.email) : ''}
+    </div>
+    <table>
+        <thead>
+            <tr>
+                <th>Product</th>
+                <th>Description</th>
+                <th>Color / Gauge</th>
+                <th class="num">Qty</th>
+                <th class="num">Length</th>
+                <th class="num">Unit Price</th>
+                <th class="num">Amount</th>
+            </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+    <table class="totals">
+        <tr><td>Coil required</td><td class="num">${escapeHtml(summary.totalWithScrap)} ft</td></tr>
+        <tr class="total"><td>Total</td><td class="num">$${escapeHtml(summary.pricing.sellPrice)}</td></tr>
+    </table>
+    ${quote.notes ? `<div class="notes">${escapeHtml(quote.notes)}</div>` : ''}
+    <div class="notes">Prices valid until ${escapeHtml(formatDate(quote.expiresAt))}. Lengths in feet.</div>
+</body>
+</html>`;
+}
+
+module.exports = {
+    validateCustomer,
+    createQuote,
+    getQuote,
+    listQuotes,
+    claimQuoteForOrder,
+    completeQuoteOrder,
+    releaseQuote,
+    markOrderUnconfirmed,
+    reconcileQuoteOrder,
+    renderQuoteHtml
+};
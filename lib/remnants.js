@@ -0,0 +1,130 @@
+// Coil remnant (drop) inventory stored in Firestore
+const { PRODUCT_CATEGORIES } = require('./config');
+const { resolveColor } = require('./products');
+
+const COLLECTION = 'remnants';
+
+// Check a new remnant record, returns a list of problems
+function validateRemnant(data) {
+    const errors = [];
+    ['width', 'length'].forEach(field => {
+        const value = Number(data[field]);
+        if (!Number.isFinite(value) || value <= 0) {
+            errors.push(`${field} must be a positive number`);
+        }
+    });
+    if (!resolveColor(data.color)) {
+        errors.push(`color must be one of ${Object.keys(PRODUCT_CATEGORIES.colors).join(', ')} or their names`);
+    }
+    if (data.gauge !== undefined && !Number.isInteger(Number(data.gauge))) {
+        errors.push('gauge must be a whole number');
+    }
+    return errors;
+}
+
+async function createRemnant(firestore, data) {
+    const remnant = {
+        width: Number(data.width),
+        length: Number(data.length),
+        ...resolveColor(data.color),
+        gauge: data.gauge !== undefined ? Number(data.gauge) : null,
+        sourceCoil: data.sourceCoil || null,
+        location: data.location || null,
+        notes: data.notes || null,
+        status: 'available',
+        createdAt: new Date().toISOString()
+    };
+    const ref = await firestore.collection(COLLECTION).add(remnant);
+    return { id: ref.id, ...remnant };
+}
+
+// List remnants, available ones by default. Color and gauge are filtered
+// here rather than in the query so no composite index is needed.
+async function listRemnants(firestore, filters = {}) {
+    const status = filters.status || 'available';
+    const snapshot = await firestore.collection(COLLECTION).where('status', '==', status).get();
+    const color = filters.color ? resolveColor(filters.color) : null;
+
+    return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(remnant => !filters.color || (color && remnant.colorCode === color.colorCode))
+        .filter(remnant => !filters.gauge || remnant.gauge === Number(filters.gauge))
+        .filter(remnant => !filters.minWidth || remnant.width >= Number(filters.minWidth));
+}
+
+// Take a remnant out of the available pool. Returns null if it doesn't exist.
+async function retireRemnant(firestore, id, reason) {
+    const ref = firestore.collection(COLLECTION).doc(id);
+    const doc = await ref.get();
+    if (!doc.exists) {
+        return null;
+    }
+    const update = {
+        status: 'retired',
+        retiredAt: new Date().toISOString(),
+        retiredReason: reason || null
+    };
+    await ref.update(update);
+    return { id, ...doc.data(), ...update };
+}
+
+// Cut as many pieces as possible from the remnants before touching new coil.
+// Each remnant is consumed along its length, one product at a time with as
+// many lanes across its width as fit. Smallest remnants are used first so
+// the big drops stay available for bigger work. Returns the allocations and
+// the items that still need coil.
+function allocateRemnants(items, remnants) {
+    const remaining = items.map(item => ({ ...item }));
+    const allocations = [];
+
+    const pool = remnants
+        .map(remnant => ({ remnant, lengthLeft: remnant.length }))
+        .sort((a, b) => a.remnant.width * a.remnant.length - b.remnant.width * b.remnant.length);
+
+    pool.forEach(entry => {
+        const { remnant } = entry;
+        const pieces = [];
+
+        remaining
+            .filter(item => item.quantity > 0 && item.width <= remnant.width &&
+                (!item.gauge || !remnant.gauge || Number(item.gauge) === remnant.gauge))
+            .sort((a, b) => b.width - a.width)
+            .forEach(item => {
+                const lanes = Math.floor(remnant.width / item.width);
+                const rows = Math.min(Math.ceil(item.quantity / lanes), Math.floor(entry.lengthLeft / item.length));
+                if (rows <= 0) {
+                    return;
+                }
+                const quantity = Math.min(item.quantity, rows * lanes);
+                item.quantity -= quantity;
+                entry.lengthLeft -= rows * item.length;
+                pieces.push({ product: item.productId, order: item.order, quantity, width: item.width, length: item.length, lanes, rows });
+            });
+
+        if (pieces.length > 0) {
+            allocations.push({
+                remnantId: remnant.id,
+                width: remnant.width,
+                length: remnant.length,
+                location: remnant.location || null,
+                sourceCoil: remnant.sourceCoil || null,
+                pieces,
+                feetUsed: remnant.length - entry.lengthLeft,
+                leftoverFeet: entry.lengthLeft
+            });
+        }
+    });
+
+    return {
+        allocations,
+        items: remaining.filter(item => item.quantity > 0)
+    };
+}
+
+module.exports = {
+    validateRemnant,
+    createRemnant,
+    listRemnants,
+    retireRemnant,
+    allocateRemnants
+};
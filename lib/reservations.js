@@ -0,0 +1,224 @@
+// Coil footage reserved against quotes and sales orders, so the same coil
+// isn't promised twice
+//
+// A reservation holds `feet` of one coil SKU until it's released or its
+// expiry passes. Available-to-promise is on hand less active reservations.
+const { BUSINESS_CONFIG } = require('./config');
+const { decodeProductId } = require('./products');
+
+const COLLECTION = 'reservations';
+
+const STATUSES = ['active', 'released', 'expired'];
+
+// Only coil SKUs with a color can be held against stock
+function isReservableSku(sku) {
+    const decoded = decodeProductId(sku);
+    return Boolean(decoded && decoded.family === 'coil' && decoded.colorCode);
+}
+
+// Check a reservation request, returns a list of problems. Lines are
+// [{ sku, feet }]; they come from the quote when only a quoteNumber is given.
+function validateReservation({ lines, quoteNumber, orderNumber, expiresAt, days }) {
+    const errors = [];
+    if (!quoteNumber === !orderNumber) {
+        errors.push('give exactly one of quoteNumber or orderNumber');
+    }
+    if (lines !== undefined) {
+        if (!Array.isArray(lines) || lines.length === 0) {
+            errors.push('lines must list at least one { sku, feet }');
+        } else {
+            lines.forEach((line, index) => {
+                if (!isReservableSku(line.sku)) {
+                    errors.push(`lines[${index}].sku must be a coil SKU with a color, e.g. CO4387526BUR`);
+                }
+                if (!(Number(line.feet) > 0)) {
+                    errors.push(`lines[${index}].feet must be a positive number`);
+                }
+            });
+        }
+    } else if (!quoteNumber) {
+        errors.push('lines are required when reserving for an order');
+    }
+    if (expiresAt !== undefined && !(new Date(expiresAt) > new Date())) {
+        errors.push('expiresAt must be a date in the future');
+    }
+    if (days !== undefined && !(Number(days) > 0)) {
+        errors.push('days must be a positive number');
+    }
+    return errors;
+}
+
+// Coil footage a quote's optimization needs, one line per coil SKU with the
+// color/gauge groups it comes from
+function quoteLines(quote) {
+    const lines = new Map();
+    Object.entries(quote.optimization || {}).forEach(([key, group]) => {
+        const line = lines.get(group.recommendedCoil) || { sku: group.recommendedCoil, feet: 0, groups: [] };
+        line.feet += group.totalLinearFeet;
+        line.groups.push(key);
+        lines.set(group.recommendedCoil, line);
+    });
+    return [...lines.values()].map(line => ({ ...line, feet: Number(line.feet.toFixed(2)) }));
+}
+
+// Active reservations past their expiry read back as expired
+function withStatus(reservation) {
+    if (reservation.status === 'active' && new Date(reservation.expiresAt) < new Date()) {
+        return { ...reservation, status: 'expired' };
+    }
+    return reservation;
+}
+
+function sumBySku(reservations) {
+    const reserved = new Map();
+    reservations
+        .filter(reservation => reservation.status === 'active')
+        .forEach(reservation => {
+            reserved.set(reservation.sku, (reserved.get(reservation.sku) || 0) + reservation.feet);
+        });
+    return reserved;
+}
+
+// Feet held by unexpired reservations, per coil SKU
+async function reservedFeetBySku(firestore) {
+    const snapshot = await firestore.collection(COLLECTION).where('status', '==', 'active').get();
+    return sumBySku(snapshot.docs.map(doc => withStatus(doc.data())));
+}
+
+// Reserve every line or none of them. `onHandFeet(sku)` gives the feet in
+// stock. A quote's earlier active reservations are replaced, so reserving it
+// again holds its coil once. Returns { reservations, replaced } on success,
+// or { shortages } listing the lines that would take a SKU below zero
+// available.
+async function createReservations(firestore, { lines, quoteNumber, orderNumber, expiresAt, days, note }, onHandFeet) {
+    const collection = firestore.collection(COLLECTION);
+    const now = new Date();
+    const expiry = expiresAt
+        ? new Date(expiresAt)
+        : new Date(now.getTime() + (Number(days) || BUSINESS_CONFIG.reservationDays) * 24 * 60 * 60 * 1000);
+
+    return firestore.runTransaction(async transaction => {
+        // Reading the active set inside the transaction makes concurrent
+        // reservations for the same coil retry against each other
+        const snapshot = await transaction.get(collection.where('status', '==', 'active'));
+        const replaced = quoteNumber
+            ? snapshot.docs.filter(doc => doc.data().quoteNumber === quoteNumber && !doc.data().orderNumber)
+            : [];
+        const reserved = sumBySku(snapshot.docs
+            .filter(doc => !replaced.includes(doc))
+            .map(doc => withStatus(doc.data())));
+
+        const wanted = new Map();
+        lines.forEach(line => {
+            const sku = decodeProductId(line.sku).productId;
+            wanted.set(sku, (wanted.get(sku) || 0) + Number(line.feet));
+        });
+
+        const shortages = [];
+        wanted.forEach((feet, sku) => {
+            const onHand = onHandFeet(sku);
+            const available = onHand - (reserved.get(sku) || 0);
+            if (feet > available + 1e-9) {
+                shortages.push({
+                    sku,
+                    requestedFeet: Number(feet.toFixed(2)),
+                    onHandFeet: Number(onHand.toFixed(2)),
+                    reservedFeet: Number((reserved.get(sku) || 0).toFixed(2)),
+                    availableFeet: Number(Math.max(0, available).toFixed(2))
+                });
+            }
+        });
+        if (shortages.length > 0) {
+            return { reservations: null, replaced: [], shortages };
+        }
+
+        replaced.forEach(doc => {
+            transaction.update(doc.ref, {
+                status: 'released',
+                releasedAt: now.toISOString(),
+                releaseReason: 'replaced by a new reservation for the quote'
+            });
+        });
+
+        const reservations = [...wanted.entries()].map(([sku, feet]) => {
+            const ref = collection.doc();
+            const reservation = {
+                id: ref.id,
+                sku,
+                feet: Number(feet.toFixed(2)),
+                quoteNumber: quoteNumber || null,
+                orderNumber: orderNumber || null,
+                status: 'active',
+                note: note || null,
+                createdAt: now.toISOString(),
+                expiresAt: expiry.toISOString()
+            };
+            transaction.set(ref, reservation);
+            return reservation;
+        });
+        return { reservations, replaced: replaced.map(doc => doc.id), shortages: [] };
+    });
+}
+
+// Reservations by status (active by default), filterable by SKU, quote or order
+async function listReservations(firestore, { status = 'active', sku, quoteNumber, orderNumber } = {}) {
+    // Expired is worked out on read, those records are still stored as active
+    let query = firestore.collection(COLLECTION).where('status', '==', status === 'expired' ? 'active' : status);
+    if (sku) {
+        query = query.where('sku', '==', String(sku).toUpperCase());
+    }
+    if (quoteNumber) {
+        query = query.where('quoteNumber', '==', quoteNumber);
+    }
+    if (orderNumber) {
+        query = query.where('orderNumber', '==', String(orderNumber));
+    }
+    const snapshot = await query.get();
+    return snapshot.docs
+        .map(doc => withStatus(doc.data()))
+        .filter(reservation => reservation.status === status);
+}
+
+// Release a reservation. Returns { reservation: null } if it doesn't exist
+// and { reservation, released: false } if it wasn't active.
+async function releaseReservation(firestore, id, reason) {
+    const ref = firestore.collection(COLLECTION).doc(id);
+    return firestore.runTransaction(async transaction => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) {
+            return { reservation: null, released: false };
+        }
+        const reservation = withStatus(doc.data());
+        if (reservation.status !== 'active') {
+            return { reservation, released: false };
+        }
+        const update = {
+            status: 'released',
+            releasedAt: new Date().toISOString(),
+            releaseReason: reason || null
+        };
+        transaction.update(ref, update);
+        return { reservation: { ...reservation, ...update }, released: true };
+    });
+}
+
+// Move a quote's active reservations onto the sales order it became
+async function transferToOrder(firestore, quoteNumber, orderNumber) {
+    const reservations = await listReservations(firestore, { quoteNumber });
+    await Promise.all(reservations.map(reservation =>
+        firestore.collection(COLLECTION).doc(reservation.id).update({ orderNumber: String(orderNumber) })
+    ));
+    return reservations.length;
+}
+
+module.exports = {
+    STATUSES,
+    isReservableSku,
+    validateReservation,
+    quoteLines,
+    reservedFeetBySku,
+    createReservations,
+    listReservations,
+    releaseReservation,
+    transferToOrder
+};
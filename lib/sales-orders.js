@@ -0,0 +1,58 @@
+// Mapping between our quotes / optimizer results and Paradigm sales orders
+const COLLECTION = 'salesOrders';
+
+// Check a line list before it goes to Paradigm, returns a list of problems
+function validateOrderLines(lineItems) {
+    const errors = [];
+    lineItems.forEach((line, index) => {
+        if (!line.productId) {
+            errors.push(`line ${index + 1} has no productId to send to Paradigm`);
+        }
+    });
+    return errors;
+}
+
+// Build the Paradigm sales order body. Panels and trim are ordered by the
+// piece with the cut length on the line; our SKUs are Paradigm product IDs.
+function buildSalesOrder({ paradigmCustomerId, customerPO, reference, lineItems, notes }) {
+    return {
+        StrCustomerID: paradigmCustomerId,
+        StrCustomerPO: customerPO || '',
+        StrReference: reference || '',
+        StrNotes: notes || '',
+        LineItems: lineItems.map((line, index) => ({
+            IntLineNumber: index + 1,
+            StrProductID: line.productId,
+            StrDescription: line.description || '',
+            DecQuantity: line.quantity,
+            DecLength: line.length,
+            DecUnitPrice: Number(line.unitPrice)
+        }))
+    };
+}
+
+// Paradigm answers with either the new order or just its number
+function extractOrderNumber(data) {
+    if (typeof data === 'string' || typeof data === 'number') {
+        return String(data);
+    }
+    if (data && typeof data === 'object') {
+        const value = data.StrOrderID || data.StrSalesOrderID || data.StrOrderNumber || data.OrderNumber || data.Id;
+        return value !== undefined && value !== null ? String(value) : null;
+    }
+    return null;
+}
+
+// Keep our own record of every order we push to Paradigm
+async function recordSalesOrder(firestore, record) {
+    const entry = { ...record, createdAt: new Date().toISOString() };
+    const ref = await firestore.collection(COLLECTION).add(entry);
+    return { id: ref.id, ...entry };
+}
+
+module.exports = {
+    validateOrderLines,
+    buildSalesOrder,
+    extractOrderNumber,
+    recordSalesOrder
+};
@@ -0,0 +1,287 @@
+// Production schedule: optimized jobs onto roll-formers, slitters and brakes
+// by day
+//
+// Each job's color/gauge groups become runs, one per machine step the
+// optimizer planned: full width panels on a roll-former, nested trim
+// patterns on a slitter, formed trim on a brake. Runs go to whichever
+// capable machine frees up first. A machine stays on its current coil while
+// the most urgent run can still make its due date, otherwise it changes over
+// to the most urgent run. Time is counted in working minutes from the start
+// of the first shift; runs that don't fit in a day carry on the next workday.
+const { BUSINESS_CONFIG } = require('./config');
+const { PATTERN_MACHINES, defaultMachines, runMinutes } = require('./machines');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDate(value) {
+    const date = new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+}
+
+// Number of workdays from `start` through `end`. Every week holds the same
+// number, so only the last part week is walked.
+function workdaysThrough(start, end, workdays) {
+    const days = Math.floor((end.getTime() - start.getTime()) / DAY_MS) + 1;
+    if (days <= 0) {
+        return 0;
+    }
+    let count = Math.floor(days / 7) * workdays.length;
+    for (let offset = days - (days % 7); offset < days; offset++) {
+        if (workdays.includes(addDays(start, offset).getUTCDay())) {
+            count++;
+        }
+    }
+    return count;
+}
+
+// Date of workday number `index` (from 0) counting from `start`
+function nthWorkday(start, index, workdays) {
+    let remaining = index % workdays.length;
+    for (let offset = Math.floor(index / workdays.length) * 7; ; offset++) {
+        const date = addDays(start, offset);
+        if (workdays.includes(date.getUTCDay())) {
+            if (remaining === 0) {
+                return date;
+            }
+            remaining--;
+        }
+    }
+}
+
+function clockTime(shiftStart, minutes) {
+    const [hours, mins] = shiftStart.split(':').map(Number);
+    const total = hours * 60 + mins + Math.round(minutes);
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Check a scheduling request's jobs and start date, returns a list of
+// problems
+function validateJobs(jobs, { startDate } = {}) {
+    const errors = [];
+    if (startDate !== undefined && !parseDate(startDate)) {
+        errors.push('startDate must be a date, e.g. 2024-06-10');
+    }
+    if (!Array.isArray(jobs) || jobs.length === 0) {
+        return [...errors, 'jobs must list at least one job'];
+    }
+    jobs.forEach((job, index) => {
+        if (!job.items && !job.orderId && !job.quoteNumber) {
+            errors.push(`jobs[${index}] needs items, an orderId or a quoteNumber`);
+        }
+        if (job.dueDate !== undefined && !parseDate(job.dueDate)) {
+            errors.push(`jobs[${index}].dueDate must be a date, e.g. 2024-06-14`);
+        }
+    });
+    return errors;
+}
+
+// Split one job's optimization into runs. Optimizations saved before the
+// machine registry have no machine steps, their patterns go to any machine
+// of the right type.
+function jobRuns(job) {
+    const runs = [];
+    Object.values(job.optimization).forEach(group => {
+        const base = {
+            job: job.reference,
+            dueDate: job.dueDate || null,
+            coil: group.recommendedCoil,
+            color: group.color,
+            gauge: group.gauge
+        };
+        if (group.machines) {
+            group.machines.steps.forEach(step => {
+                runs.push({ ...base, machineType: step.type, profile: step.profile, candidates: step.candidates, feet: step.feet });
+            });
+            return;
+        }
+        const feet = {};
+        group.patterns.forEach(pattern => {
+            const type = PATTERN_MACHINES[pattern.type] || 'slitter';
+            feet[type] = (feet[type] || 0) + pattern.totalFeet * (1 + BUSINESS_CONFIG.scrapFactor);
+        });
+        Object.entries(feet).forEach(([machineType, total]) => {
+            runs.push({ ...base, machineType, profile: null, candidates: null, feet: Number(total.toFixed(2)) });
+        });
+    });
+    return runs;
+}
+
+function scheduleJobs(jobs, {
+    startDate = formatDate(new Date()),
+    machines = defaultMachines(),
+    production = BUSINESS_CONFIG.production
+} = {}) {
+    const dayMinutes = production.hoursPerDay * 60;
+    const start = parseDate(startDate);
+    if (production.workdays.length === 0) {
+        throw new Error('production.workdays must list at least one day');
+    }
+    const workday = index => formatDate(nthWorkday(start, index, production.workdays));
+
+    // Working-minute deadline for a due date: the end of its last workday
+    const deadline = dueDate => {
+        if (!dueDate) {
+            return Infinity;
+        }
+        return workdaysThrough(start, parseDate(dueDate), production.workdays) * dayMinutes;
+    };
+
+    // A coil change costs the machine's setup, plus roll adjustment when the
+    // gauge changes too
+    const changeoverMinutes = (machine, from, to) => {
+        if (!from || from.coil === to.coil) {
+            return 0;
+        }
+        return machine.setupMinutes + (from.gauge !== to.gauge ? production.gaugeChangeMinutes : 0);
+    };
+
+    const state = machines
+        .filter(machine => machine.active !== false)
+        .map(machine => ({ machine, time: 0, last: null, segments: [] }));
+
+    // Book `minutes` on a machine from its current time, split across days
+    const book = (entry, minutes, details) => {
+        let left = minutes;
+        while (left > 1e-9) {
+            const day = Math.floor(entry.time / dayMinutes + 1e-9);
+            const start = entry.time - day * dayMinutes;
+            const chunk = Math.min(left, dayMinutes - start);
+            entry.segments.push({ day, start, minutes: chunk, share: chunk / minutes, ...details });
+            entry.time += chunk;
+            left -= chunk;
+        }
+    };
+
+    const allRuns = jobs.flatMap(jobRuns).map(run => ({ ...run, deadline: deadline(run.dueDate) }));
+    const unscheduled = [];
+    const completions = {};
+    let changeovers = 0;
+
+    const canRun = (entry, run) => entry.machine.type === run.machineType &&
+        (!run.candidates || run.candidates.includes(entry.machine.id));
+
+    const remaining = [];
+    allRuns.forEach(run => {
+        if (state.some(entry => canRun(entry, run))) {
+            remaining.push(run);
+        } else {
+            const what = run.profile ? `${run.profile} ` : '';
+            unscheduled.push({ ...run, reason: `no ${run.machineType} available to run ${what}${run.gauge}ga` });
+        }
+    });
+
+    while (remaining.length > 0) {
+        // The machine that frees up first and has work it can take
+        const entry = state
+            .filter(candidate => remaining.some(run => canRun(candidate, run)))
+            .reduce((a, b) => (b.time < a.time ? b : a));
+        const queue = remaining
+            .filter(run => canRun(entry, run))
+            .sort((a, b) => a.deadline - b.deadline || b.feet - a.feet);
+        const urgent = queue[0];
+        const duration = run => runMinutes(entry.machine, run.feet);
+
+        // Stay on the loaded coil if the urgent run can still make its date
+        let run = urgent;
+        const sameCoil = entry.last && queue.find(candidate => candidate.coil === entry.last.coil);
+        if (sameCoil && sameCoil !== urgent) {
+            const urgentDone = entry.time + duration(sameCoil) +
+                changeoverMinutes(entry.machine, sameCoil, urgent) + duration(urgent);
+            if (urgentDone <= urgent.deadline) {
+                run = sameCoil;
+            }
+        }
+        remaining.splice(remaining.indexOf(run), 1);
+
+        const changeover = changeoverMinutes(entry.machine, entry.last, run);
+        if (changeover > 0) {
+            changeovers += 1;
+            book(entry, changeover, { kind: 'changeover', from: entry.last.coil, to: run.coil });
+        }
+        book(entry, duration(run), { kind: 'run', run });
+        entry.last = run;
+
+        const done = completions[run.job] || { finished: 0, late: false };
+        done.finished = Math.max(done.finished, entry.time);
+        done.late = done.late || entry.time > run.deadline + 1e-9;
+        completions[run.job] = done;
+    }
+
+    // Lay the bookings out by day and machine
+    const dayCount = Math.max(0, ...state.map(entry => Math.ceil(entry.time / dayMinutes - 1e-9)));
+    const days = [];
+    for (let day = 0; day < dayCount; day++) {
+        const machineDays = state.map(entry => {
+            const segments = entry.segments.filter(segment => segment.day === day);
+            const used = segments.reduce((sum, segment) => sum + segment.minutes, 0);
+            return {
+                machineId: entry.machine.id,
+                type: entry.machine.type,
+                minutesUsed: Math.round(used),
+                utilization: `${((used / dayMinutes) * 100).toFixed(0)}%`,
+                entries: segments.map(segment => {
+                    const timing = {
+                        start: clockTime(production.shiftStart, segment.start),
+                        end: clockTime(production.shiftStart, segment.start + segment.minutes),
+                        minutes: Math.round(segment.minutes)
+                    };
+                    if (segment.kind === 'changeover') {
+                        return { kind: 'changeover', from: segment.from, to: segment.to, ...timing };
+                    }
+                    const { run } = segment;
+                    return {
+                        kind: 'run',
+                        job: run.job,
+                        coil: run.coil,
+                        color: run.color,
+                        gauge: run.gauge,
+                        profile: run.profile,
+                        feet: Number((run.feet * segment.share).toFixed(2)),
+                        continued: segment.share < 1 - 1e-9,
+                        dueDate: run.dueDate,
+                        ...timing
+                    };
+                })
+            };
+        }).filter(machineDay => machineDay.entries.length > 0);
+
+        days.push({ date: workday(day), machines: machineDays });
+    }
+
+    const jobSummary = jobs.map(job => {
+        const done = completions[job.reference];
+        return {
+            job: job.reference,
+            dueDate: job.dueDate || null,
+            completes: done ? workday(Math.max(0, Math.ceil(done.finished / dayMinutes - 1e-9) - 1)) : null,
+            late: done ? done.late : false
+        };
+    });
+
+    return {
+        startDate: workday(0),
+        days,
+        jobs: jobSummary,
+        unscheduled,
+        summary: {
+            days: dayCount,
+            runs: allRuns.length - unscheduled.length,
+            changeovers,
+            totalFeet: Number(allRuns.reduce((sum, run) => sum + run.feet, 0).toFixed(2)),
+            lateJobs: jobSummary.filter(job => job.late).map(job => job.job)
+        }
+    };
+}
+
+module.exports = {
+    validateJobs,
+    scheduleJobs
+};
@@ -0,0 +1,156 @@
+// Slitting plans: cutting master coils into narrower child coils
+//
+// Demand is a list of child widths (inches) and the footage needed of each.
+// Every pattern slits the master into lanes and runs for some length, each
+// lane producing a child coil of that length. Patterns are picked greedily
+// to use as much of the master width as possible (least edge trim).
+const { BUSINESS_CONFIG, PRODUCT_CATEGORIES } = require('./config');
+const { getColorCode, coilBaseCode } = require('./products');
+const { lookupCost } = require('./costs');
+const { toUnits, fillWidth } = require('./cutting-stock');
+
+// Usable width of a master coil after edge trim, in the planner's 1/16" units
+function masterCapacity(master) {
+    return toUnits(master - BUSINESS_CONFIG.minEdgeTrim, Math.floor);
+}
+
+// Check a slitting request, returns a list of problems
+function validateSlittingRequest({ demand, masterWidth }) {
+    if (!Array.isArray(demand) || demand.length === 0) {
+        return ['demand must list at least one { width, feet }'];
+    }
+    const errors = [];
+    const master = masterWidth === undefined ? BUSINESS_CONFIG.masterCoilWidth : Number(masterWidth);
+    if (!(master > BUSINESS_CONFIG.minEdgeTrim)) {
+        return [`masterWidth must be a number over the ${BUSINESS_CONFIG.minEdgeTrim}" edge trim`];
+    }
+    const capacity = masterCapacity(master);
+    demand.forEach((entry, index) => {
+        const width = Number(entry.width);
+        if (!(width > 0) || toUnits(width, Math.ceil) > capacity) {
+            errors.push(`demand[${index}].width must be positive and fit the ${master}" master with edge trim`);
+        }
+        if (!(Number(entry.feet) > 0)) {
+            errors.push(`demand[${index}].feet must be a positive number`);
+        }
+    });
+    return errors;
+}
+
+function childSku(width, gauge, colorCode) {
+    const baseCode = coilBaseCode(width, gauge);
+    return {
+        sku: `${baseCode}${colorCode}`,
+        stocked: PRODUCT_CATEGORIES.coils.includes(baseCode)
+    };
+}
+
+function planSlitting({
+    demand,
+    color,
+    gauge = BUSINESS_CONFIG.defaultGauge,
+    masterWidth = BUSINESS_CONFIG.masterCoilWidth,
+    costTable = {}
+}) {
+    const colorCode = color ? getColorCode(color) : 'GAL';
+    const master = Number(masterWidth);
+    const capacity = masterCapacity(master);
+
+    // Merge repeated widths
+    const remaining = new Map();
+    demand.forEach(entry => {
+        const width = Number(entry.width);
+        remaining.set(width, (remaining.get(width) || 0) + Number(entry.feet));
+    });
+
+    const patterns = [];
+    while ([...remaining.values()].some(feet => feet > 0)) {
+        const candidates = [...remaining.entries()]
+            .filter(([, feet]) => feet > 0)
+            .map(([width]) => {
+                const units = toUnits(width, Math.ceil);
+                return { width, units, value: width, maxLanes: Math.floor(capacity / units) };
+            });
+
+        const lanes = [...fillWidth(candidates, capacity).entries()]
+            .map(([candidate, count]) => ({ width: candidate.width, count }))
+            .sort((a, b) => b.width - a.width);
+        if (lanes.length === 0) {
+            // Validation keeps every width within capacity, so this can't make progress
+            throw new Error(`No demand width fits the ${master}" master with edge trim`);
+        }
+
+        // Run until the first lane's demand is covered, in whole feet
+        const runFeet = Math.ceil(Math.min(...lanes.map(lane => remaining.get(lane.width) / lane.count)));
+        lanes.forEach(lane => {
+            remaining.set(lane.width, Math.max(0, remaining.get(lane.width) - lane.count * runFeet));
+        });
+
+        const usedWidth = lanes.reduce((sum, lane) => sum + lane.width * lane.count, 0);
+        patterns.push({
+            lanes: lanes.map(lane => ({
+                width: lane.width,
+                count: lane.count,
+                childCoil: childSku(lane.width, gauge, colorCode).sku,
+                feetEach: runFeet
+            })),
+            layout: lanes.map(lane => `${lane.count} x ${lane.width}"`).join(' + '),
+            usedWidth: Number(usedWidth.toFixed(3)),
+            edgeTrim: Number((master - usedWidth).toFixed(3)),
+            masterFeet: runFeet,
+            efficiency: `${((usedWidth / master) * 100).toFixed(1)}%`
+        });
+    }
+
+    // Footage of each child coil produced, over all patterns
+    const produced = {};
+    patterns.forEach(pattern => {
+        pattern.lanes.forEach(lane => {
+            produced[lane.width] = (produced[lane.width] || 0) + lane.count * lane.feetEach;
+        });
+    });
+
+    const masterSku = `${coilBaseCode(master, gauge)}${colorCode}`;
+    const masterFeet = patterns.reduce((sum, pattern) => sum + pattern.masterFeet, 0);
+    const edgeTrimSqFt = patterns.reduce((sum, pattern) => sum + pattern.edgeTrim / 12 * pattern.masterFeet, 0);
+    const masterCost = masterFeet * lookupCost(costTable, masterSku).costPerFoot;
+
+    // What buying the stocked child widths outright would cost instead
+    const childCoils = Object.entries(produced).map(([width, feet]) => {
+        const child = childSku(Number(width), gauge, colorCode);
+        const cost = lookupCost(costTable, child.sku);
+        return {
+            width: Number(width),
+            sku: child.sku,
+            stocked: child.stocked,
+            feet,
+            buyCost: child.stocked && cost.costSource !== 'default' ? (feet * cost.costPerFoot).toFixed(2) : null
+        };
+    });
+    const buyable = childCoils.every(child => child.buyCost !== null);
+    const buyCost = buyable ? childCoils.reduce((sum, child) => sum + Number(child.buyCost), 0) : null;
+
+    return {
+        masterCoil: masterSku,
+        masterWidth: master,
+        patterns,
+        childCoils,
+        summary: {
+            masterFeet,
+            edgeTrimSqFt: edgeTrimSqFt.toFixed(2),
+            edgeTrimPercent: masterFeet > 0
+                ? ((edgeTrimSqFt / (master / 12 * masterFeet)) * 100).toFixed(2) + '%'
+                : 'N/A',
+            slitCost: masterCost.toFixed(2),
+            buyCost: buyCost !== null ? buyCost.toFixed(2) : null,
+            recommendation: buyCost === null
+                ? 'Slit in-house: not every child width has a stocked SKU with a cost on file'
+                : (masterCost <= buyCost ? 'Slit in-house' : 'Buy the narrower coil')
+        }
+    };
+}
+
+module.exports = {
+    validateSlittingRequest,
+    planSlitting
+};
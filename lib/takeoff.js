@@ -0,0 +1,308 @@
+// Roof takeoff: panels, trim and fasteners from a simple roof description
+//
+// Dimensions are in feet except overhangs (inches) and pitch (rise per 12").
+// `eaveLength` is the building length along the eave and `rafterLength` the
+// sloped length from the wall line to the ridge. Hip roofs are taken as
+// equal pitch all round, so the building width is twice the rafter's
+// horizontal run and the hips sit at 45° in plan.
+const { BUSINESS_CONFIG } = require('./config');
+const { resolveColor } = require('./products');
+const { PANEL_PROFILES, splitCourse } = require('./panel-profiles');
+const { applyTrimProfiles } = require('./trim-profiles');
+const { DEFAULT_PURLIN_SPACING, panelScrews, trimScrews } = require('./accessories');
+
+const STYLES = ['gable', 'hip', 'shed'];
+
+const DEFAULTS = {
+    profile: 'A6',
+    eaveOverhang: 2, // inches
+    rakeOverhang: 0, // inches
+    trimLength: 10 // feet per trim piece
+};
+
+const TRIM_LAP = 2; // inches trim pieces overlap end to end
+
+// Trim product and the trim profile it's bent to
+const TRIM_TYPES = {
+    ridge: { product: 'RIDGE', profileId: 'ridge-cap', description: 'Ridge Cap' },
+    hip: { product: 'HIP', profileId: 'hip-cap', description: 'Hip Cap' },
+    rake: { product: 'HF RAKE', profileId: 'hf-rake', description: 'HF Rake' },
+    eave: { product: 'EAVE', profileId: 'eave-trim', description: 'Eave Trim' },
+    highSide: { product: 'HIGH-SIDE', profileId: 'high-side-trim', description: 'High-Side Trim' }
+};
+
+// Pitch as rise per 12, from 4, "4" or "4/12"
+function parsePitch(pitch) {
+    const match = String(pitch).trim().match(/^(\d+(?:\.\d+)?)(?:\s*[/:]\s*12)?$/);
+    return match ? Number(match[1]) : NaN;
+}
+
+// Check a takeoff request, returns a list of problems
+function validateTakeoff(roof) {
+    const errors = [];
+    if (!STYLES.includes(roof.style)) {
+        errors.push(`style must be one of ${STYLES.join(', ')}`);
+    }
+    const pitch = parsePitch(roof.pitch);
+    if (!(pitch > 0 && pitch <= 24)) {
+        errors.push('pitch must be a rise per 12 between 0 and 24, e.g. 4 or "4/12"');
+    }
+    if (!(Number(roof.eaveLength) > 0)) {
+        errors.push('eaveLength must be a positive number of feet');
+    }
+    if (!(Number(roof.rafterLength) > 0)) {
+        errors.push('rafterLength must be a positive number of feet');
+    }
+    if (roof.profile !== undefined && !PANEL_PROFILES[String(roof.profile).toUpperCase()]) {
+        errors.push(`profile must be one of ${Object.keys(PANEL_PROFILES).join(', ')}`);
+    }
+    if (roof.color !== undefined && !resolveColor(roof.color)) {
+        errors.push(`unknown color ${roof.color}`);
+    }
+    const overhangs = roof.overhangs || {};
+    ['eave', 'rake'].forEach(edge => {
+        if (overhangs[edge] !== undefined && !(Number(overhangs[edge]) >= 0)) {
+            errors.push(`overhangs.${edge} must be zero or more inches`);
+        }
+    });
+    ['trimLength', 'purlinSpacing'].forEach(field => {
+        if (roof[field] !== undefined && !(Number(roof[field]) > 0)) {
+            errors.push(`${field} must be a positive number`);
+        }
+    });
+    if (roof.style === 'hip' && pitch > 0) {
+        const width = 2 * Number(roof.rafterLength) * (12 / Math.hypot(12, pitch));
+        if (Number(roof.eaveLength) < width - 1e-6) {
+            errors.push(`eaveLength must be at least the building width (${width.toFixed(2)} ft) for a hip roof`);
+        }
+    }
+    if (roof.openings !== undefined && !Array.isArray(roof.openings)) {
+        errors.push('openings must be a list of { width, height }');
+    }
+    (Array.isArray(roof.openings) ? roof.openings : []).forEach((opening, index) => {
+        if (!(Number(opening.width) > 0) || !(Number(opening.height) > 0)) {
+            errors.push(`openings[${index}] needs a positive width and height in feet`);
+        }
+        if (opening.fromEave !== undefined && !(Number(opening.fromEave) >= 0)) {
+            errors.push(`openings[${index}].fromEave must be zero or more feet`);
+        }
+    });
+    return errors;
+}
+
+// Roof planes with the panels across each, one { length, atEave } per piece
+// (length in feet, before overhang), plus the linear trim runs
+function roofGeometry({ style, pitch, eaveLength, rafterLength, slopeFactor, coverage, eaveOverhang, rakeOverhang }) {
+    const rakeFeet = rakeOverhang / 12;
+    const slopeWithOverhang = rafterLength + eaveOverhang / 12;
+
+    const fullPanels = (width, length) => Array.from(
+        { length: Math.ceil((width * 12) / coverage - 1e-9) },
+        () => ({ length, atEave: true })
+    );
+
+    if (style === 'shed' || style === 'gable') {
+        const width = eaveLength + 2 * rakeFeet;
+        const planes = style === 'shed' ? ['Roof'] : ['Front', 'Back'];
+        return {
+            planes: planes.map(name => ({
+                name,
+                eaveLength: width,
+                ridgeLength: style === 'gable' ? width : 0,
+                slopeLength: rafterLength,
+                squareFeet: width * slopeWithOverhang,
+                panels: fullPanels(width, rafterLength)
+            })),
+            trim: {
+                ridge: style === 'gable' ? width : 0,
+                hip: 0,
+                rake: 2 * planes.length * slopeWithOverhang,
+                eave: planes.length * width,
+                highSide: style === 'shed' ? width : 0
+            }
+        };
+    }
+
+    // Hip: panels in the corners shorten toward the hip, each one cut to its
+    // longer edge
+    const run = rafterLength / slopeFactor;
+    const buildingWidth = 2 * run;
+    const ridgeLength = eaveLength - buildingWidth;
+    const cornerPanels = () => {
+        const count = Math.ceil((run * 12) / coverage - 1e-9);
+        return Array.from({ length: count }, (_, i) => ({
+            length: Math.min(((i + 1) * coverage) / 12, run) * slopeFactor,
+            atEave: true
+        }));
+    };
+    const hipLength = Math.hypot(run * Math.SQRT2, (run * pitch) / 12);
+    const plane = (name, eave, ridge) => ({
+        name,
+        eaveLength: eave,
+        ridgeLength: ridge,
+        slopeLength: rafterLength,
+        squareFeet: ((eave + ridge) / 2) * rafterLength + eave * (eaveOverhang / 12),
+        panels: [
+            ...cornerPanels(),
+            ...(ridge > 0 ? fullPanels(ridge, rafterLength) : []),
+            ...cornerPanels()
+        ]
+    });
+    return {
+        planes: [
+            plane('Front', eaveLength, ridgeLength),
+            plane('Back', eaveLength, ridgeLength),
+            plane('Left End', buildingWidth, 0),
+            plane('Right End', buildingWidth, 0)
+        ],
+        trim: {
+            ridge: ridgeLength,
+            hip: 4 * hipLength,
+            rake: 0,
+            eave: 2 * eaveLength + 2 * buildingWidth,
+            highSide: 0
+        }
+    };
+}
+
+// Openings shorten the full panels they span: each becomes a piece below
+// the opening and a piece above it. Openings default to mid-slope on the
+// first plane.
+function applyOpenings(planes, openings, coverage) {
+    openings.forEach(opening => {
+        const plane = planes[Math.min(Number(opening.plane) || 0, planes.length - 1)];
+        const height = Number(opening.height);
+        const fromEave = opening.fromEave !== undefined
+            ? Number(opening.fromEave)
+            : Math.max(0, (plane.slopeLength - height) / 2);
+        let spanned = Math.floor((Number(opening.width) * 12) / coverage + 1e-9);
+
+        plane.panels = plane.panels.flatMap(panel => {
+            if (spanned === 0 || panel.length < plane.slopeLength || fromEave + height >= panel.length) {
+                return [panel];
+            }
+            spanned--;
+            const above = { length: panel.length - fromEave - height, atEave: false };
+            return fromEave > 0 ? [{ length: fromEave, atEave: true }, above] : [above];
+        });
+        plane.squareFeet -= Number(opening.width) * height;
+    });
+}
+
+function calculateTakeoff(roof, trimProfiles) {
+    const pitch = parsePitch(roof.pitch);
+    const slopeFactor = Math.hypot(12, pitch) / 12;
+    const prefix = String(roof.profile || DEFAULTS.profile).toUpperCase();
+    const spec = PANEL_PROFILES[prefix];
+    const resolved = resolveColor(roof.color);
+    const overhangs = roof.overhangs || {};
+    const eaveOverhang = overhangs.eave !== undefined ? Number(overhangs.eave) : DEFAULTS.eaveOverhang;
+    const rakeOverhang = overhangs.rake !== undefined ? Number(overhangs.rake) : DEFAULTS.rakeOverhang;
+    const trimLength = Number(roof.trimLength) || DEFAULTS.trimLength;
+    const purlinSpacing = Number(roof.purlinSpacing) || DEFAULT_PURLIN_SPACING;
+    const gauge = spec.gauge || BUSINESS_CONFIG.defaultGauge;
+    const color = resolved ? resolved.color : 'UNSPECIFIED';
+    const colorSuffix = resolved ? `-${resolved.colorCode}` : '';
+    const warnings = [];
+
+    const geometry = roofGeometry({
+        style: roof.style,
+        pitch,
+        eaveLength: Number(roof.eaveLength),
+        rafterLength: Number(roof.rafterLength),
+        slopeFactor,
+        coverage: spec.coverageWidth,
+        eaveOverhang,
+        rakeOverhang
+    });
+    applyOpenings(geometry.planes, roof.openings || [], spec.coverageWidth);
+
+    // Panel pieces by cut length. Only the piece at the eave gets the overhang.
+    const panelCounts = new Map();
+    let fieldScrews = 0;
+    geometry.planes.forEach(plane => {
+        plane.panels.forEach(({ length, atEave }) => {
+            const cutLength = length + (atEave ? eaveOverhang / 12 : 0);
+            const { piecesPerCourse, pieceLength } = splitCourse(spec, cutLength, warnings);
+            const key = Number(pieceLength.toFixed(4));
+            panelCounts.set(key, (panelCounts.get(key) || 0) + piecesPerCourse);
+            fieldScrews += panelScrews(spec, length, purlinSpacing);
+        });
+    });
+
+    const panelItems = [...panelCounts.entries()]
+        .sort((a, b) => b[0] - a[0])
+        .map(([length, quantity]) => ({
+            productId: `${prefix}${resolved ? resolved.colorCode : ''}`,
+            description: `${spec.name}${resolved ? ` ${resolved.color}` : ''}`,
+            color,
+            gauge,
+            quantity,
+            length,
+            width: Number(roof.coilWidth) || 43.875
+        }));
+
+    const trim = Object.entries(geometry.trim)
+        .filter(([, runFeet]) => runFeet > 0)
+        .map(([type, runFeet]) => ({
+            type,
+            ...TRIM_TYPES[type],
+            runFeet: Number(runFeet.toFixed(2)),
+            pieces: Math.ceil(runFeet / (trimLength - TRIM_LAP / 12) - 1e-9)
+        }));
+
+    const trimItems = trim.map(entry => ({
+        productId: `${entry.product}${colorSuffix}`,
+        profileId: entry.profileId,
+        description: `${entry.description}${resolved ? ` ${resolved.color}` : ''}`,
+        color,
+        gauge,
+        quantity: entry.pieces,
+        length: trimLength
+    }));
+    applyTrimProfiles(trimItems, trimProfiles);
+
+    const trimScrewCount = trim.reduce((sum, entry) => sum + trimScrews(entry.runFeet), 0);
+    const squareFeet = geometry.planes.reduce((sum, plane) => sum + plane.squareFeet, 0);
+
+    return {
+        roof: {
+            style: roof.style,
+            pitch: `${pitch}/12`,
+            slopeFactor: Number(slopeFactor.toFixed(4)),
+            eaveOverhang,
+            rakeOverhang,
+            planes: geometry.planes.map(({ panels, ...plane }) => ({
+                ...plane,
+                eaveLength: Number(plane.eaveLength.toFixed(2)),
+                ridgeLength: Number(plane.ridgeLength.toFixed(2)),
+                squareFeet: Number(plane.squareFeet.toFixed(2)),
+                panels: panels.length
+            })),
+            squareFeet: Number(squareFeet.toFixed(2)),
+            squares: Number((squareFeet / 100).toFixed(2))
+        },
+        panels: {
+            profile: prefix,
+            pieces: panelItems.reduce((sum, item) => sum + item.quantity, 0),
+            linearFeet: Number(panelItems.reduce((sum, item) => sum + item.quantity * item.length, 0).toFixed(2))
+        },
+        trim: trim.map(({ type, product, profileId, runFeet, pieces }) => ({
+            type, product, profileId, runFeet, pieces, pieceLength: trimLength
+        })),
+        fasteners: {
+            panelScrews: fieldScrews,
+            trimScrews: trimScrewCount,
+            total: fieldScrews + trimScrewCount,
+            purlinSpacing
+        },
+        warnings: [...new Set(warnings)],
+        items: [...panelItems, ...trimItems]
+    };
+}
+
+module.exports = {
+    STYLES,
+    validateTakeoff,
+    calculateTakeoff
+};
@@ -0,0 +1,201 @@
+// Trim profiles: leg dimensions, bends and hems, and the flat stretch-out
+// width they need off the coil
+//
+// Legs are outside dimensions in inches, in order across the part. Each bend
+// sits between two legs and is given as degrees bent from flat (90 = square).
+// Hems are 180° folds on either edge. The flat width is the sum of the legs
+// less the bend deduction for every bend: twice the outside setback, less
+// the bend allowance for the material that stretches round the radius.
+const { BUSINESS_CONFIG } = require('./config');
+const { GAUGE_THICKNESS } = require('./conversions');
+const { toUnits, WIDTH_RESOLUTION } = require('./cutting-stock');
+
+const COLLECTION = 'trimProfiles';
+
+const K_FACTOR = 0.33; // neutral axis position for air-bent light gauge
+const OPEN_HEM_GAP = 0.125; // inches between the faces of an open hem
+const HEM_TYPES = ['closed', 'open'];
+
+// Built-in shop profiles. A Firestore profile with the same ID overrides these.
+const TRIM_PROFILES = {
+    'high-fastener': {
+        name: 'High-Fastener',
+        legs: [1, 5, 5, 1],
+        bends: [90, 150, 90],
+        hems: { start: { length: 0.5, type: 'closed' }, end: { length: 0.5, type: 'closed' } }
+    },
+    'hf-rake': {
+        name: 'HF Rake',
+        legs: [1.5, 4, 1],
+        bends: [90, 90],
+        hems: { start: { length: 0.5, type: 'closed' } }
+    },
+    'overhead-door-trim': {
+        name: 'Overhead Door Trim',
+        legs: [1, 4, 1],
+        bends: [90, 90],
+        hems: { end: { length: 0.5, type: 'closed' } }
+    },
+    'com-rib-rake': {
+        name: 'Com Rib Rake',
+        legs: [1.25, 5.5, 2, 0.75],
+        bends: [90, 90, 45],
+        hems: { start: { length: 0.5, type: 'closed' } }
+    },
+    'ridge-cap': {
+        name: 'Ridge Cap',
+        legs: [1, 6, 6, 1],
+        bends: [90, 140, 90]
+    },
+    'hip-cap': {
+        name: 'Hip Cap',
+        legs: [1, 4, 4, 1],
+        bends: [90, 140, 90]
+    },
+    'eave-trim': {
+        name: 'Eave Trim',
+        legs: [1, 3, 1.5],
+        bends: [90, 90],
+        hems: { end: { length: 0.5, type: 'closed' } }
+    },
+    'high-side-trim': {
+        name: 'High-Side Trim',
+        legs: [1, 4, 4],
+        bends: [90, 120],
+        hems: { end: { length: 0.5, type: 'closed' } }
+    }
+};
+
+// Check a profile definition, returns a list of problems
+function validateProfile(profile) {
+    if (!profile || typeof profile !== 'object') {
+        return ['profile must be an object with legs and bends'];
+    }
+    const errors = [];
+    if (!profile.name) {
+        errors.push('name is required');
+    }
+    const legs = profile.legs;
+    if (!Array.isArray(legs) || legs.length === 0 || legs.some(leg => !(Number(leg) > 0))) {
+        errors.push('legs must be a list of positive lengths in inches');
+    }
+    const bends = profile.bends || [];
+    if (!Array.isArray(bends) || (Array.isArray(legs) && bends.length !== legs.length - 1)) {
+        errors.push('bends must have one angle between each pair of legs');
+    } else if (bends.some(angle => !(Number(angle) > 0 && Number(angle) < 180))) {
+        errors.push('bend angles must be above 0 and below 180 degrees, use hems for 180° folds');
+    }
+    Object.entries(profile.hems || {}).forEach(([edge, hem]) => {
+        if (edge !== 'start' && edge !== 'end') {
+            errors.push(`hems.${edge}: edge must be start or end`);
+        } else if (!hem || !(Number(hem.length) > 0)) {
+            errors.push(`hems.${edge}.length must be a positive number`);
+        } else if (hem.type !== undefined && !HEM_TYPES.includes(hem.type)) {
+            errors.push(`hems.${edge}.type must be one of ${HEM_TYPES.join(', ')}`);
+        }
+    });
+    if (profile.insideRadius !== undefined && !(Number(profile.insideRadius) >= 0)) {
+        errors.push('insideRadius must be zero or more');
+    }
+    return errors;
+}
+
+function bendAllowance(angle, radius, thickness) {
+    return (Math.PI / 180) * angle * (radius + K_FACTOR * thickness);
+}
+
+// Length lost to one bend when both legs are measured to the outside corner
+function bendDeduction(angle, radius, thickness) {
+    const setback = angle >= 180
+        ? radius + thickness
+        : Math.tan((angle * Math.PI) / 360) * (radius + thickness);
+    return 2 * setback - bendAllowance(angle, radius, thickness);
+}
+
+// Flat width of a profile in a gauge, rounded up to the next 1/16" for
+// slitting. Returns null for a gauge we have no thickness for.
+function stretchOut(profile, gauge = BUSINESS_CONFIG.defaultGauge) {
+    const thickness = GAUGE_THICKNESS[gauge];
+    if (!thickness) {
+        return null;
+    }
+    // Brakes bend light gauge to roughly one material thickness inside
+    const radius = profile.insideRadius !== undefined ? Number(profile.insideRadius) : thickness;
+
+    let flat = profile.legs.reduce((sum, leg) => sum + Number(leg), 0);
+    (profile.bends || []).forEach(angle => {
+        flat -= bendDeduction(Number(angle), radius, thickness);
+    });
+    Object.values(profile.hems || {}).forEach(hem => {
+        const hemRadius = hem.type === 'open' ? OPEN_HEM_GAP / 2 : 0;
+        flat += Number(hem.length) - bendDeduction(180, hemRadius, thickness);
+    });
+
+    return {
+        gauge: Number(gauge),
+        thickness,
+        insideRadius: radius,
+        bends: (profile.bends || []).length + Object.keys(profile.hems || {}).length,
+        flatWidth: Number(flat.toFixed(4)),
+        width: toUnits(flat, Math.ceil) / WIDTH_RESOLUTION
+    };
+}
+
+// Built-in and stored profiles by ID
+async function listTrimProfiles(firestore) {
+    const snapshot = await firestore.collection(COLLECTION).get();
+    const profiles = {};
+    Object.entries(TRIM_PROFILES).forEach(([id, profile]) => {
+        profiles[id] = { id, builtIn: true, ...profile };
+    });
+    snapshot.docs.forEach(doc => {
+        profiles[doc.id] = { id: doc.id, builtIn: false, ...doc.data() };
+    });
+    return profiles;
+}
+
+async function saveTrimProfile(firestore, id, data) {
+    const profile = {
+        name: data.name,
+        legs: data.legs.map(Number),
+        bends: (data.bends || []).map(Number),
+        hems: data.hems || {},
+        updatedAt: new Date().toISOString()
+    };
+    if (data.insideRadius !== undefined) {
+        profile.insideRadius = Number(data.insideRadius);
+    }
+    await firestore.collection(COLLECTION).doc(id).set(profile);
+    return { id, builtIn: false, ...profile };
+}
+
+// Fill in the width of items that reference a profile by `profileId`, from
+// the stretch-out in the item's gauge. Returns a list of problems.
+function applyTrimProfiles(items, profiles) {
+    const errors = [];
+    items.forEach((item, index) => {
+        if (!item.profileId) {
+            return;
+        }
+        const profile = profiles[item.profileId];
+        if (!profile) {
+            errors.push(`items[${index}].profileId: unknown trim profile ${item.profileId}`);
+            return;
+        }
+        const flat = stretchOut(profile, Number(item.gauge || BUSINESS_CONFIG.defaultGauge));
+        if (flat) {
+            item.width = flat.width;
+            item.productId = item.productId || profile.name;
+        }
+    });
+    return errors;
+}
+
+module.exports = {
+    TRIM_PROFILES,
+    validateProfile,
+    stretchOut,
+    listTrimProfiles,
+    saveTrimProfile,
+    applyTrimProfiles
+};
@@ -0,0 +1,65 @@
+// What-if comparison of the same items run on different coil widths
+const { BUSINESS_CONFIG } = require('./config');
+const { optimizeCoil } = require('./optimizer');
+
+// Optimize the items on every configured width plus any extra widths and
+// recommend the cheapest width that can make every piece on our machines
+function compareCoilWidths(items, extraWidths = [], options = {}) {
+    const widths = [...new Set([...BUSINESS_CONFIG.coilWidths, ...extraWidths.map(Number)])]
+        .sort((a, b) => a - b);
+
+    const comparison = widths.map(coilWidth => {
+        // A piece wider than the coil can't be made from it at all
+        const tooWide = items.filter(item => Number(item.width) > coilWidth);
+        if (tooWide.length > 0) {
+            return {
+                coilWidth,
+                feasible: false,
+                reason: `${tooWide.length} item(s) wider than ${coilWidth}": ${tooWide.map(item => item.productId).join(', ')}`
+            };
+        }
+
+        const { summary } = optimizeCoil(items, { ...options, coilWidth });
+        if (!summary.machines.runnable) {
+            return {
+                coilWidth,
+                feasible: false,
+                reason: summary.machines.problems.join('; ')
+            };
+        }
+        return {
+            coilWidth,
+            feasible: true,
+            linearFeet: summary.totalLinearFeet,
+            scrapFeet: summary.scrapFeet,
+            totalWithScrap: summary.totalWithScrap,
+            squareFeet: (Number(summary.totalWithScrap) * coilWidth / 12).toFixed(2),
+            coilsNeeded: summary.totalCoilsNeeded,
+            remnantsUsed: summary.remnantsUsed,
+            materialCost: summary.pricing.materialCost,
+            laborCost: summary.pricing.laborCost,
+            totalCost: summary.pricing.totalCost,
+            sellPrice: summary.pricing.sellPrice
+        };
+    });
+
+    const feasible = comparison.filter(row => row.feasible);
+    const best = feasible.reduce((a, b) => (b && Number(b.totalCost) < Number(a.totalCost) ? b : a), feasible[0]);
+
+    return {
+        comparison,
+        recommendation: best
+            ? {
+                coilWidth: best.coilWidth,
+                totalCost: best.totalCost,
+                reason: feasible.length > 1
+                    ? `Lowest total cost of ${feasible.length} workable widths`
+                    : 'Only workable width'
+            }
+            : null
+    };
+}
+
+module.exports = {
+    compareCoilWidths
+};
@@ -8,11 +8,35 @@ const PROJECT_CONFIG = {
 };
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const { Firestore } = require('@google-cloud/firestore');
 const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
 const winston = require('winston');
 const helmet = require('helmet');
+const { BUSINESS_CONFIG, PRODUCT_CATEGORIES } = require('./lib/config');
+const { optimizeCoil, validateItems } = require('./lib/optimizer');
+const remnantStore = require('./lib/remnants');
+const { decodeProductId } = require('./lib/products');
+const costTable = require('./lib/costs');
+const pricing = require('./lib/pricing');
+const quoteStore = require('./lib/quotes');
+const salesOrders = require('./lib/sales-orders');
+const { createParadigmClient, ParadigmUnavailableError } = require('./lib/paradigm-client');
+const { readCache, writeCache } = require('./lib/cache');
+const cutlist = require('./lib/cutlist');
+const { optimizeBatch } = require('./lib/batch');
+const coilStore = require('./lib/coils');
+const conversions = require('./lib/conversions');
+const slitting = require('./lib/slitting');
+const { compareCoilWidths } = require('./lib/width-comparison');
+const trimProfiles = require('./lib/trim-profiles');
+const panelProfiles = require('./lib/panel-profiles');
+const takeoff = require('./lib/takeoff');
+const accessories = require('./lib/accessories');
+const availability = require('./lib/availability');
+const reservationStore = require('./lib/reservations');
+const purchasing = require('./lib/purchasing');
+const scheduler = require('./lib/scheduler');
+const machineRegistry = require('./lib/machines');
 
 const app = express();
 
@@ -39,46 +63,14 @@ const logger = winston.createLogger({
     ]
 });
 
-// Business configuration with 5% scrap factor
-const BUSINESS_CONFIG = {
-    scrapFactor: 0.05, // 5% scrap as requested
-    coilWidths: [20, 43.875],
-    defaultGauge: 29,
-    standardRollLength: 100, // feet
-    pricing: {
-        marginPercent: 0.30, // 30% margin
-        laborPerFoot: 0.50
-    }
-};
-
-// Your Greenfield product categories
-const PRODUCT_CATEGORIES = {
-    coils: ['CO2024', 'CO2026', 'CO2029', 'CO4387524', 'CO4387526', 'CO4387529'],
-    panels: ['A4', 'A6', 'A8'], // Your panel prefixes
-    trim: ['High-Fastener', 'HF Rake', 'Overhead Door Trim', 'Com Rib Rake'],
-    colors: {
-        'AG': 'Ash Gray',
-        'ARW': 'Arctic White',
-        'AW': 'Alamo White',
-        'B': 'Brown',
-        'BER': 'Berry',
-        'BK': 'Black',
-        'BR': 'Brick Red',
-        'BS': 'Burnished Slate',
-        'BUR': 'Burgundy',
-        'BW': 'Bone White',
-        'OB': 'Ocean Blue',
-        'CH': 'Charcoal',
-        'EG': 'Evergreen',
-        'GB': 'Gallery Blue',
-        'GAL': 'Galvalume'
-    }
-};
-
 // Paradigm configuration
 let PARADIGM_CONFIG = null;
-let authToken = null;
-let tokenExpiry = null;
+
+// All Paradigm calls go through this client (token refresh, retries, circuit breaker)
+const paradigm = createParadigmClient({
+    getConfig: () => PARADIGM_CONFIG,
+    logger
+});
 
 // Load secrets from Google Secret Manager
 async function loadSecrets() {
@@ -128,38 +120,9 @@ async function loadSecrets() {
     }
 }
 
-// Authenticate with Paradigm
-async function authenticate() {
-    try {
-        // Check if token is still valid
-        if (authToken && tokenExpiry && new Date() < tokenExpiry) {
-            return authToken;
-        }
-
-        const response = await axios.post(
-            `${PARADIGM_CONFIG.baseURL}/api/user/Auth/GetToken`,
-            {
-                userName: PARADIGM_CONFIG.username,
-                password: PARADIGM_CONFIG.password
-            },
-            {
-                headers: {
-                    'x-api-key': PARADIGM_CONFIG.apiKey,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 10000
-            }
-        );
-        
-        authToken = response.data;
-        tokenExpiry = new Date(Date.now() + 3600000); // Token expires in 1 hour
-        
-        logger.info('✅ Authenticated with Paradigm ERP');
-        return authToken;
-    } catch (error) {
-        logger.error('Authentication failed:', error.message);
-        throw new Error('Failed to authenticate with Paradigm');
-    }
+// Paradigm being down is a 503 for our callers, anything else is a 500
+function errorStatus(error) {
+    return error instanceof ParadigmUnavailableError ? 503 : 500;
 }
 
 // ===================== ENDPOINTS =====================
@@ -181,81 +144,283 @@ app.get('/health', (req, res) => {
         timestamp: new Date().toISOString(),
         config: {
             scrapFactor: `${BUSINESS_CONFIG.scrapFactor * 100}%`,
-            paradigmConnected: !!authToken,
+            paradigmConnected: paradigm.isAuthenticated(),
+            paradigmCircuit: paradigm.stats().circuit.state,
             coilWidths: BUSINESS_CONFIG.coilWidths,
             categories: Object.keys(PRODUCT_CATEGORIES)
         }
     });
 });
 
+// Metal roofing inventory from Paradigm, cached in Firestore for 5 minutes
+async function getMetalRoofingInventory() {
+    // Check Firestore cache first (fresh for 5 minutes)
+    const cacheKey = 'inventory_metal_roofing';
+    const cached = await readCache(firestore, cacheKey, 300000);
+    if (cached) {
+        logger.info('Returning cached inventory');
+        return cached;
+    }
+    
+    // Fetch fresh data from Paradigm, every page of it
+    const inventory = await paradigm.getAllPages((page, pageSize) => `/api/user/Inventory/${page}/${pageSize}`);
+    logger.info(`Fetched ${inventory.length} inventory rows from Paradigm`);
+    
+    // Filter for metal roofing products based on your categories
+    const metalProducts = inventory.filter(item => {
+        const category = item.StrCategory;
+        const productId = item.StrProductID || '';
+        
+        // Check if it's a metal roofing category
+        if (category === 'Coils' || 
+            category === 'Panels' || 
+            category === 'Trim' ||
+            category === 'Fasteners' ||
+            category === 'Flatsheets') {
+            return true;
+        }
+        
+        // Check by product ID patterns. The prefixes catch SKUs the decoder
+        // doesn't know yet (other coil widths, new colors, suffixed panels).
+        if (decodeProductId(productId) ||
+            productId.startsWith('CO') || 
+            PRODUCT_CATEGORIES.panels.some(prefix => productId.startsWith(prefix))) {
+            return true;
+        }
+        
+        // Closures, tape and sealant for the accessory estimates
+        if (accessories.isAccessoryRow(item)) {
+            return true;
+        }
+        
+        return false;
+    });
+    
+    // Cache the results
+    await writeCache(firestore, cacheKey, metalProducts);
+    
+    return metalProducts;
+}
+
+// Paradigm connection status, circuit breaker state and call timings
+app.get('/api/paradigm/status', (req, res) => {
+    res.json(paradigm.stats());
+});
+
 // Get your metal roofing inventory
 app.get('/api/inventory/metal-roofing', async (req, res) => {
     try {
-        // Check Firestore cache first
-        const cacheKey = 'inventory_metal_roofing';
-        const cacheRef = firestore.collection('cache').doc(cacheKey);
-        const cacheDoc = await cacheRef.get();
-        
-        // Return cached data if fresh (5 minutes)
-        if (cacheDoc.exists) {
-            const cached = cacheDoc.data();
-            if (cached.timestamp > Date.now() - 300000) {
-                logger.info('Returning cached inventory');
-                return res.json(cached.data);
-            }
-        }
+        const { skip = 0, take } = req.query;
+        const metalProducts = await getMetalRoofingInventory();
         
-        // Fetch fresh data from Paradigm
-        const token = await authenticate();
-        const response = await axios.get(
-            `${PARADIGM_CONFIG.baseURL}/api/user/Inventory/1/500`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'x-api-key': PARADIGM_CONFIG.apiKey
-                },
-                timeout: 30000
-            }
-        );
+        // Coil rows show on hand, reserved and available feet for their SKU
+        const stock = availability.buildStockIndex(metalProducts, await reservationStore.reservedFeetBySku(firestore));
         
-        // Filter for metal roofing products based on your categories
-        const metalProducts = response.data.filter(item => {
-            const category = item.StrCategory;
-            const productId = item.StrProductID || '';
-            
-            // Check if it's a metal roofing category
-            if (category === 'Coils' || 
-                category === 'Panels' || 
-                category === 'Trim' ||
-                category === 'Fasteners' ||
-                category === 'Flatsheets') {
-                return true;
-            }
-            
-            // Check by product ID patterns
-            if (productId.startsWith('CO') || 
-                productId.startsWith('A4') || 
-                productId.startsWith('A6') || 
-                productId.startsWith('A8')) {
-                return true;
-            }
-            
-            return false;
+        // Page our own output when asked, the full list otherwise
+        const start = Number(skip) || 0;
+        const page = (take !== undefined
+            ? metalProducts.slice(start, start + Number(take))
+            : metalProducts.slice(start)
+        ).map(row => {
+            const coil = availability.rowFeet(row);
+            return coil ? { ...row, ...stock.get(coil.sku) } : row;
         });
         
-        // Cache the results
-        await cacheRef.set({
-            data: metalProducts,
-            timestamp: Date.now()
+        logger.info(`Returned ${page.length} of ${metalProducts.length} metal roofing products`);
+        res.set('X-Total-Count', String(metalProducts.length));
+        res.json(page);
+        
+    } catch (error) {
+        logger.error('Inventory fetch error:', error);
+        res.status(errorStatus(error)).json({ 
+            error: 'Failed to fetch inventory',
+            message: error.message 
+        });
+    }
+});
+
+// Decode a Greenfield SKU into family, width, gauge and color
+app.get('/api/products/decode/:productId', (req, res) => {
+    const decoded = decodeProductId(req.params.productId);
+    if (!decoded) {
+        return res.status(404).json({ 
+            error: 'Unrecognized product ID',
+            productId: req.params.productId 
         });
+    }
+    res.json(decoded);
+});
+
+// Check an items array from a request body, returns an error response body or null.
+// Items that reference a trim profile get their width filled in first.
+async function checkItems(items) {
+    if (!items || items.length === 0) {
+        return { error: 'No items provided' };
+    }
+    
+    if (items.some(item => item.profileId)) {
+        const profileErrors = trimProfiles.applyTrimProfiles(items, await trimProfiles.listTrimProfiles(firestore));
+        if (profileErrors.length > 0) {
+            return { error: 'Invalid items', details: profileErrors };
+        }
+    }
+    
+    const errors = validateItems(items);
+    if (errors.length > 0) {
+        return { error: 'Invalid items', details: errors };
+    }
+    return null;
+}
+
+// Machines in the registry; if it can't be read the built-in machines stand in
+async function loadMachines() {
+    try {
+        return await machineRegistry.listMachines(firestore);
+    } catch (machineError) {
+        logger.warn('Machine registry unavailable, using built-in machines:', machineError.message);
+        return machineRegistry.defaultMachines();
+    }
+}
+
+// Load what the optimizer needs for a request: remnants, the cost table,
+// the price list and the machines that run the work, plus the coils on hand
+// when pieces should be assigned to them and Paradigm inventory when stock
+// should be checked. priceList comes back null if a named list doesn't exist.
+async function loadOptimizerOptions({ coilWidth = 43.875, useRemnants = true, assignCoils = false, checkInventory = false, customerId, priceList }) {
+    // Quotes against a customer or named list must use those prices, so
+    // lookup failures here fail the request instead of falling back
+    let resolvedPriceList = { name: pricing.DEFAULT_PRICE_LIST, rules: pricing.PRICE_LISTS[pricing.DEFAULT_PRICE_LIST].rules };
+    if (customerId || priceList) {
+        resolvedPriceList = await pricing.resolvePriceList(firestore, { customerId, priceList });
+    }
+    
+    // Remnants are used first; if they can't be loaded, optimize on new coil only
+    let remnants = [];
+    if (useRemnants) {
+        try {
+            remnants = await remnantStore.listRemnants(firestore);
+        } catch (remnantError) {
+            logger.warn('Remnant inventory unavailable, optimizing without remnants:', remnantError.message);
+        }
+    }
+    
+    // Without the cost table every coil is priced at the default cost per foot
+    let costs = {};
+    try {
+        costs = await costTable.loadCostTable(firestore);
+    } catch (costError) {
+        logger.warn('Cost table unavailable, using default material cost:', costError.message);
+    }
+    
+    // Assigning to coils is asked for explicitly, so a lookup failure fails the request
+    const coils = assignCoils ? await coilStore.listCoils(firestore) : null;
+    
+    // Stock is advisory; if Paradigm or the reservations are unavailable the
+    // result just isn't checked
+    let inventory = null;
+    let reserved = new Map();
+    if (checkInventory) {
+        try {
+            [inventory, reserved] = await Promise.all([
+                getMetalRoofingInventory(),
+                reservationStore.reservedFeetBySku(firestore)
+            ]);
+        } catch (inventoryError) {
+            logger.warn('Inventory unavailable, skipping availability check:', inventoryError.message);
+            inventory = null;
+        }
+    }
+    
+    return {
+        coilWidth: Number(coilWidth),
+        remnants,
+        costTable: costs,
+        priceList: resolvedPriceList,
+        coils,
+        inventory,
+        reserved,
+        machines: await loadMachines()
+    };
+}
+
+// Screws, closures, tape and sealant for the items, priced from Paradigm
+// inventory (loaded here unless already at hand). Without inventory the
+// quantities still come back, unpriced.
+async function estimateAccessoriesFor(items, { purlinSpacing, coilWidth, priceList, inventory = null }) {
+    if (!inventory) {
+        try {
+            inventory = await getMetalRoofingInventory();
+        } catch (inventoryError) {
+            logger.warn('Inventory unavailable, accessories left unpriced:', inventoryError.message);
+            inventory = [];
+        }
+    }
+    return accessories.estimateAccessories(items, {
+        purlinSpacing: Number(purlinSpacing) > 0 ? Number(purlinSpacing) : accessories.DEFAULT_PURLIN_SPACING,
+        coilWidth,
+        inventory,
+        priceList
+    });
+}
+
+// Convert between lbs, linear feet and square feet of coil. Takes a coil
+// sku, or gauge + width (+ substrate), and one of lbs/linearFeet/squareFeet.
+app.get('/api/convert', (req, res) => {
+    const { sku, lbs, linearFeet, squareFeet } = req.query;
+    
+    let spec = { gauge: Number(req.query.gauge), width: Number(req.query.width), substrate: req.query.substrate };
+    if (sku) {
+        spec = conversions.coilSpec(sku);
+        if (!spec) {
+            return res.status(400).json({ error: 'Not a coil SKU', sku });
+        }
+    }
+    
+    const request = { ...spec, lbs, linearFeet, squareFeet };
+    const errors = conversions.validateConversion(request);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid conversion', details: errors });
+    }
+    
+    res.json(conversions.convert(request));
+});
+
+// Panel profile catalog: coverage width, rib spacing and length limits
+app.get('/api/panel-profiles', (req, res) => {
+    res.json(Object.entries(panelProfiles.PANEL_PROFILES).map(([prefix, profile]) => ({ prefix, ...profile })));
+});
+
+// Panel count and cut length for a wall or roof plane, with items ready
+// for /api/optimize/coil
+app.post('/api/panels/calculate', (req, res) => {
+    const errors = panelProfiles.validatePanelRequest(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid panel request', details: errors });
+    }
+    
+    res.json(panelProfiles.calculatePanels({
+        ...req.body,
+        coilWidth: Number(req.body.coilWidth) || 43.875
+    }));
+});
+
+// Roof takeoff: panels, ridge/hip cap, rake and eave trim and fastener
+// counts from a gable, hip or shed roof. `items` go straight to
+// /api/optimize/coil.
+app.post('/api/takeoff/roof', async (req, res) => {
+    try {
+        const errors = takeoff.validateTakeoff(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid roof', details: errors });
+        }
         
-        logger.info(`Returned ${metalProducts.length} metal roofing products`);
-        res.json(metalProducts);
+        const profiles = await trimProfiles.listTrimProfiles(firestore);
+        res.json(takeoff.calculateTakeoff(req.body, profiles));
         
     } catch (error) {
-        logger.error('Inventory fetch error:', error);
+        logger.error('Roof takeoff error:', error);
         res.status(500).json({ 
-            error: 'Failed to fetch inventory',
+            error: 'Roof takeoff failed',
             message: error.message 
         });
     }
@@ -264,302 +429,1255 @@ app.get('/api/inventory/metal-roofing', async (req, res) => {
 // Optimize coil usage with 5% scrap factor
 app.post('/api/optimize/coil', async (req, res) => {
     try {
-        const { items, coilWidth = 43.875 } = req.body;
+        const { items } = req.body;
         
-        if (!items || items.length === 0) {
-            return res.status(400).json({ error: 'No items provided' });
+        const itemError = await checkItems(items);
+        if (itemError) {
+            return res.status(400).json(itemError);
         }
         
-        // Group items by color
-        const colorGroups = {};
-        items.forEach(item => {
-            const color = item.color || 'UNSPECIFIED';
-            if (!colorGroups[color]) {
-                colorGroups[color] = [];
-            }
-            colorGroups[color].push(item);
+        // Stock is checked unless the caller turns it off
+        const options = await loadOptimizerOptions({
+            ...req.body,
+            checkInventory: req.body.checkInventory !== false
         });
+        if (!options.priceList) {
+            return res.status(400).json({ error: 'Unknown price list', priceList: req.body.priceList });
+        }
         
-        // Optimize each color group
-        const optimization = {};
-        let totalLinearFeet = 0;
-        let totalWithScrap = 0;
+        const result = optimizeCoil(items, options);
+        if (req.body.includeAccessories) {
+            result.accessories = await estimateAccessoriesFor(items, { ...req.body, ...options });
+        }
+        res.json(result);
         
-        Object.keys(colorGroups).forEach(color => {
-            const colorItems = colorGroups[color];
-            
-            // Calculate base linear feet needed
-            let linearFeet = 0;
-            let patterns = [];
-            
-            colorItems.forEach(item => {
-                if (item.width >= coilWidth) {
-                    // Full width panels
-                    linearFeet += item.quantity * item.length;
-                    patterns.push({
-                        type: 'Full Width',
-                        product: item.productId,
-                        quantity: item.quantity,
-                        lengthEach: item.length,
-                        totalFeet: item.quantity * item.length
-                    });
-                } else {
-                    // Partial width trim - calculate based on nesting
-                    const piecesPerRow = Math.floor(coilWidth / item.width);
-                    const rowsNeeded = Math.ceil(item.quantity / piecesPerRow);
-                    const feetNeeded = rowsNeeded * item.length;
-                    linearFeet += feetNeeded;
-                    
-                    patterns.push({
-                        type: 'Nested Trim',
-                        product: item.productId,
-                        quantity: item.quantity,
-                        width: item.width,
-                        piecesPerRow: piecesPerRow,
-                        rowsNeeded: rowsNeeded,
-                        lengthEach: item.length,
-                        totalFeet: feetNeeded,
-                        efficiency: `${((item.width * piecesPerRow / coilWidth) * 100).toFixed(1)}%`
-                    });
-                }
-            });
-            
-            // Apply 5% scrap factor
-            const scrapAmount = linearFeet * BUSINESS_CONFIG.scrapFactor;
-            const totalNeeded = linearFeet + scrapAmount;
-            
-            // Determine which coil product to use
-            const coilProduct = selectCoilProduct(color, coilWidth);
-            
-            optimization[color] = {
-                items: colorItems,
-                patterns: patterns,
-                baseLinearFeet: linearFeet,
-                scrapFeet: scrapAmount,
-                totalLinearFeet: totalNeeded,
-                coilsNeeded: Math.ceil(totalNeeded / BUSINESS_CONFIG.standardRollLength),
-                efficiency: ((linearFeet / totalNeeded) * 100).toFixed(2) + '%',
-                recommendedCoil: coilProduct
-            };
-            
-            totalLinearFeet += linearFeet;
-            totalWithScrap += totalNeeded;
+    } catch (error) {
+        logger.error('Optimization error:', error);
+        res.status(500).json({ 
+            error: 'Optimization failed',
+            message: error.message 
         });
+    }
+});
+
+// Create a numbered quote from the same items /api/optimize/coil takes
+app.post('/api/quotes', async (req, res) => {
+    try {
+        const { items, customer, notes, validDays } = req.body;
         
-        // Calculate pricing
-        const materialCost = totalWithScrap * 3.85; // Your base cost per foot
-        const laborCost = totalWithScrap * BUSINESS_CONFIG.pricing.laborPerFoot;
-        const totalCost = materialCost + laborCost;
-        const sellPrice = totalCost * (1 + BUSINESS_CONFIG.pricing.marginPercent);
+        const customerErrors = quoteStore.validateCustomer(customer);
+        if (customerErrors.length > 0) {
+            return res.status(400).json({ error: 'Invalid customer', details: customerErrors });
+        }
         
-        res.json({
-            optimization,
-            summary: {
-                totalLinearFeet: totalLinearFeet.toFixed(2),
-                scrapFeet: (totalWithScrap - totalLinearFeet).toFixed(2),
-                totalWithScrap: totalWithScrap.toFixed(2),
-                scrapPercent: BUSINESS_CONFIG.scrapFactor * 100 + '%',
-                totalCoilsNeeded: Math.ceil(totalWithScrap / BUSINESS_CONFIG.standardRollLength),
-                coilWidth: coilWidth,
-                pricing: {
-                    materialCost: materialCost.toFixed(2),
-                    laborCost: laborCost.toFixed(2),
-                    totalCost: totalCost.toFixed(2),
-                    sellPrice: sellPrice.toFixed(2),
-                    margin: (sellPrice - totalCost).toFixed(2),
-                    marginPercent: (BUSINESS_CONFIG.pricing.marginPercent * 100).toFixed(0) + '%'
-                }
-            }
+        const itemError = await checkItems(items);
+        if (itemError) {
+            return res.status(400).json(itemError);
+        }
+        
+        // Remnants aren't held for quotes, so two quotes could price pieces off
+        // the same drop; they're only used when the caller asks. Stock is
+        // checked unless turned off.
+        const options = await loadOptimizerOptions({
+            ...req.body,
+            customerId: req.body.customerId || customer.id,
+            useRemnants: req.body.useRemnants === true,
+            checkInventory: req.body.checkInventory !== false
+        });
+        if (!options.priceList) {
+            return res.status(400).json({ error: 'Unknown price list', priceList: req.body.priceList });
+        }
+        
+        const quote = await quoteStore.createQuote(firestore, {
+            customer,
+            items,
+            coilWidth: options.coilWidth,
+            notes,
+            validDays: Number(validDays) || undefined,
+            result: optimizeCoil(items, options)
         });
         
+        logger.info(`Created quote ${quote.quoteNumber} for ${quote.customer.name}`);
+        res.status(201).json(quote);
+        
     } catch (error) {
-        logger.error('Optimization error:', error);
+        logger.error('Quote create error:', error);
         res.status(500).json({ 
-            error: 'Optimization failed',
+            error: 'Failed to create quote',
             message: error.message 
         });
     }
 });
 
-// Helper function to select appropriate coil product
-function selectCoilProduct(color, width) {
-    // Map color to your product codes
-    const colorCode = getColorCode(color);
-    const widthPrefix = width === 20 ? 'CO20' : 'CO43875';
-    const gauge = '29'; // Default to 29ga
-    
-    return `${widthPrefix}${gauge}${colorCode}`;
-}
+// List recent quotes, optionally for one customer
+app.get('/api/quotes', async (req, res) => {
+    try {
+        const { customerId, limit } = req.query;
+        res.json(await quoteStore.listQuotes(firestore, { customerId, limit }));
+        
+    } catch (error) {
+        logger.error('Quote list error:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch quotes',
+            message: error.message 
+        });
+    }
+});
 
-function getColorCode(colorName) {
-    // Reverse lookup from your color names to codes
-    for (const [code, name] of Object.entries(PRODUCT_CATEGORIES.colors)) {
-        if (name.toLowerCase() === colorName.toLowerCase()) {
-            return code;
+// Get one quote
+app.get('/api/quotes/:quoteNumber', async (req, res) => {
+    try {
+        const quote = await quoteStore.getQuote(firestore, req.params.quoteNumber);
+        if (!quote) {
+            return res.status(404).json({ error: 'Quote not found' });
         }
+        res.json(quote);
+        
+    } catch (error) {
+        logger.error('Quote fetch error:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch quote',
+            message: error.message 
+        });
     }
-    return 'CUSTOM';
-}
+});
 
-// Get orders from Paradigm
-app.get('/api/orders', async (req, res) => {
+// Printable quote document (print to PDF from the browser)
+app.get('/api/quotes/:quoteNumber/document', async (req, res) => {
     try {
-        const { skip = 0, take = 100 } = req.query;
+        const quote = await quoteStore.getQuote(firestore, req.params.quoteNumber);
+        if (!quote) {
+            return res.status(404).json({ error: 'Quote not found' });
+        }
+        res.type('html').send(quoteStore.renderQuoteHtml(quote));
         
-        const token = await authenticate();
-        const response = await axios.get(
-            `${PARADIGM_CONFIG.baseURL}/api/SalesOrder/${skip}/${take}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'x-api-key': PARADIGM_CONFIG.apiKey
-                },
-                timeout: 30000
-            }
-        );
+    } catch (error) {
+        logger.error('Quote document error:', error);
+        res.status(500).json({ 
+            error: 'Failed to render quote',
+            message: error.message 
+        });
+    }
+});
+
+// Fasteners and accessories for the same items /api/optimize/coil takes.
+// /api/optimize/coil adds these to its result with includeAccessories.
+app.post('/api/optimize/accessories', async (req, res) => {
+    try {
+        const { items, purlinSpacing } = req.body;
         
-        logger.info(`Fetched ${response.data.length} orders`);
-        res.json(response.data);
+        const itemError = await checkItems(items);
+        if (itemError) {
+            return res.status(400).json(itemError);
+        }
+        if (purlinSpacing !== undefined && !(Number(purlinSpacing) > 0)) {
+            return res.status(400).json({ error: 'purlinSpacing must be a positive number of inches' });
+        }
+        
+        let priceList = { name: pricing.DEFAULT_PRICE_LIST, rules: pricing.PRICE_LISTS[pricing.DEFAULT_PRICE_LIST].rules };
+        if (req.body.customerId || req.body.priceList) {
+            priceList = await pricing.resolvePriceList(firestore, req.body);
+        }
+        if (!priceList) {
+            return res.status(400).json({ error: 'Unknown price list', priceList: req.body.priceList });
+        }
+        
+        res.json(await estimateAccessoriesFor(items, {
+            purlinSpacing,
+            coilWidth: Number(req.body.coilWidth) || 43.875,
+            priceList
+        }));
         
     } catch (error) {
-        logger.error('Orders fetch error:', error);
+        logger.error('Accessory estimate error:', error);
         res.status(500).json({ 
-            error: 'Failed to fetch orders',
+            error: 'Accessory estimate failed',
             message: error.message 
         });
     }
 });
 
-// Test endpoint for optimization with sample data
-app.get('/api/test/optimize', async (req, res) => {
-    const sampleItems = [
-        {
-            productId: 'A4AG',
-            description: '24ga Ag Panel (Ash Gray)',
-            color: 'Ash Gray',
-            quantity: 45,
-            length: 16,
-            width: 43.875
-        },
-        {
-            productId: 'RIDGE-AG',
-            description: 'Ridge Cap (Ash Gray)',
-            color: 'Ash Gray',
-            quantity: 15,
-            length: 10,
-            width: 14
-        },
-        {
-            productId: 'HIP-AG',
-            description: 'Hip Cap (Ash Gray)',
-            color: 'Ash Gray',
-            quantity: 20,
-            length: 10,
-            width: 10
-        }
-    ];
-    
-    // Call optimize with sample data
+// Run the same items on every configured coil width (plus any `widths`
+// passed in) and compare feet, scrap, coils and cost side by side
+app.post('/api/optimize/compare-widths', async (req, res) => {
     try {
-        const { items, coilWidth = 43.875 } = { items: sampleItems, coilWidth: 43.875 };
+        const { items, widths = [] } = req.body;
         
-        // Group items by color
-        const colorGroups = {};
-        items.forEach(item => {
-            const color = item.color || 'UNSPECIFIED';
-            if (!colorGroups[color]) {
-                colorGroups[color] = [];
-            }
-            colorGroups[color].push(item);
+        const itemError = await checkItems(items);
+        if (itemError) {
+            return res.status(400).json(itemError);
+        }
+        if (!Array.isArray(widths) || widths.some(width => !(Number(width) > 0))) {
+            return res.status(400).json({ error: 'widths must be a list of positive numbers' });
+        }
+        
+        const options = await loadOptimizerOptions(req.body);
+        if (!options.priceList) {
+            return res.status(400).json({ error: 'Unknown price list', priceList: req.body.priceList });
+        }
+        
+        res.json(compareCoilWidths(items, widths, options));
+        
+    } catch (error) {
+        logger.error('Width comparison error:', error);
+        res.status(500).json({ 
+            error: 'Width comparison failed',
+            message: error.message 
         });
+    }
+});
+
+// Optimize several orders together per color and gauge. Each entry in
+// `orders` is a Paradigm order ID, { orderId } or { reference, items }.
+app.post('/api/optimize/batch', async (req, res) => {
+    try {
+        const { orders } = req.body;
         
-        // Optimize each color group
-        const optimization = {};
-        let totalLinearFeet = 0;
-        let totalWithScrap = 0;
+        if (!Array.isArray(orders) || orders.length === 0) {
+            return res.status(400).json({ error: 'No orders provided' });
+        }
         
-        Object.keys(colorGroups).forEach(color => {
-            const colorItems = colorGroups[color];
-            
-            // Calculate base linear feet needed
-            let linearFeet = 0;
-            let patterns = [];
+        const orderSets = [];
+        const skippedLines = {};
+        for (const [index, entry] of orders.entries()) {
+            const orderId = typeof entry === 'string' || typeof entry === 'number' ? String(entry) : entry.orderId;
             
-            colorItems.forEach(item => {
-                if (item.width >= coilWidth) {
-                    // Full width panels
-                    linearFeet += item.quantity * item.length;
-                    patterns.push({
-                        type: 'Full Width',
-                        product: item.productId,
-                        quantity: item.quantity,
-                        lengthEach: item.length,
-                        totalFeet: item.quantity * item.length
-                    });
-                } else {
-                    // Partial width trim - calculate based on nesting
-                    const piecesPerRow = Math.floor(coilWidth / item.width);
-                    const rowsNeeded = Math.ceil(item.quantity / piecesPerRow);
-                    const feetNeeded = rowsNeeded * item.length;
-                    linearFeet += feetNeeded;
-                    
-                    patterns.push({
-                        type: 'Nested Trim',
-                        product: item.productId,
-                        quantity: item.quantity,
-                        width: item.width,
-                        piecesPerRow: piecesPerRow,
-                        rowsNeeded: rowsNeeded,
-                        lengthEach: item.length,
-                        totalFeet: feetNeeded,
-                        efficiency: `${((item.width * piecesPerRow / coilWidth) * 100).toFixed(1)}%`
-                    });
+            if (orderId) {
+                const order = await paradigm.get(`/api/SalesOrder/${encodeURIComponent(orderId)}`);
+                const { items, skipped } = cutlist.orderToItems(order, { coilWidth: Number(req.body.coilWidth) || 43.875 });
+                orderSets.push({ order: orderId, items });
+                if (skipped.length > 0) {
+                    skippedLines[orderId] = skipped;
                 }
-            });
-            
-            // Apply 5% scrap factor
-            const scrapAmount = linearFeet * BUSINESS_CONFIG.scrapFactor;
-            const totalNeeded = linearFeet + scrapAmount;
-            
-            optimization[color] = {
-                items: colorItems,
-                patterns: patterns,
-                baseLinearFeet: linearFeet,
-                scrapFeet: scrapAmount,
-                totalLinearFeet: totalNeeded,
-                coilsNeeded: Math.ceil(totalNeeded / BUSINESS_CONFIG.standardRollLength),
-                efficiency: ((linearFeet / totalNeeded) * 100).toFixed(2) + '%'
-            };
+                continue;
+            }
             
-            totalLinearFeet += linearFeet;
-            totalWithScrap += totalNeeded;
+            const reference = entry.reference || `set-${index + 1}`;
+            const itemError = await checkItems(entry.items);
+            if (itemError) {
+                return res.status(400).json({ ...itemError, order: reference });
+            }
+            orderSets.push({ order: reference, items: entry.items });
+        }
+        
+        if (orderSets.every(set => set.items.length === 0)) {
+            return res.status(422).json({ error: 'Orders have no panel or trim lines to cut', skippedLines });
+        }
+        
+        const options = await loadOptimizerOptions(req.body);
+        if (!options.priceList) {
+            return res.status(400).json({ error: 'Unknown price list', priceList: req.body.priceList });
+        }
+        
+        const result = optimizeBatch(orderSets, options);
+        logger.info(`Batch optimized ${orderSets.length} orders, saved ${result.comparison.feetSaved} ft`);
+        res.json({ ...result, skippedLines });
+        
+    } catch (error) {
+        logger.error('Batch optimization error:', error);
+        res.status(errorStatus(error)).json({ 
+            error: 'Batch optimization failed',
+            message: error.message 
         });
+    }
+});
+
+// Plan slitting master coils into narrower child coils, and compare the
+// cost against buying the narrower coil
+app.post('/api/slitting/plan', async (req, res) => {
+    try {
+        const { demand, color, gauge, masterWidth } = req.body;
         
-        // Calculate pricing
-        const materialCost = totalWithScrap * 3.85;
-        const laborCost = totalWithScrap * BUSINESS_CONFIG.pricing.laborPerFoot;
-        const totalCost = materialCost + laborCost;
-        const sellPrice = totalCost * (1 + BUSINESS_CONFIG.pricing.marginPercent);
+        const errors = slitting.validateSlittingRequest({ demand, masterWidth });
+        if (gauge !== undefined && !BUSINESS_CONFIG.gauges.includes(Number(gauge))) {
+            errors.push(`gauge must be one of ${BUSINESS_CONFIG.gauges.join(', ')}`);
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid slitting request', details: errors });
+        }
         
-        res.json({
-            message: 'Test optimization with sample data',
-            optimization,
-            summary: {
-                totalLinearFeet: totalLinearFeet.toFixed(2),
-                scrapFeet: (totalWithScrap - totalLinearFeet).toFixed(2),
-                totalWithScrap: totalWithScrap.toFixed(2),
-                scrapPercent: BUSINESS_CONFIG.scrapFactor * 100 + '%',
-                totalCoilsNeeded: Math.ceil(totalWithScrap / BUSINESS_CONFIG.standardRollLength),
-                coilWidth: coilWidth,
-                pricing: {
-                    materialCost: materialCost.toFixed(2),
-                    laborCost: laborCost.toFixed(2),
-                    totalCost: totalCost.toFixed(2),
-                    sellPrice: sellPrice.toFixed(2),
-                    margin: (sellPrice - totalCost).toFixed(2),
-                    marginPercent: (BUSINESS_CONFIG.pricing.marginPercent * 100).toFixed(0) + '%'
-                }
-            }
+        let costs = {};
+        try {
+            costs = await costTable.loadCostTable(firestore);
+        } catch (costError) {
+            logger.warn('Cost table unavailable, using default material cost:', costError.message);
+        }
+        
+        res.json(slitting.planSlitting({
+            demand,
+            color,
+            gauge: gauge !== undefined ? Number(gauge) : undefined,
+            masterWidth: masterWidth !== undefined ? Number(masterWidth) : BUSINESS_CONFIG.masterCoilWidth,
+            costTable: costs
+        }));
+        
+    } catch (error) {
+        logger.error('Slitting plan error:', error);
+        res.status(500).json({ 
+            error: 'Slitting plan failed',
+            message: error.message 
+        });
+    }
+});
+
+// Production schedule for jobs across the machines, day by day. Each job is
+// { reference, dueDate, items }, { orderId, dueDate } or
+// { quoteNumber, dueDate }; quotes use the optimization they were saved with.
+app.post('/api/schedule', async (req, res) => {
+    try {
+        const { jobs, startDate } = req.body;
+        const coilWidth = Number(req.body.coilWidth) || 43.875;
+        
+        const errors = scheduler.validateJobs(jobs, { startDate });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid schedule request', details: errors });
+        }
+        
+        const machines = await loadMachines();
+        const scheduled = [];
+        const skippedLines = {};
+        for (const [index, job] of jobs.entries()) {
+            const dueDate = job.dueDate || null;
+            
+            if (job.quoteNumber) {
+                const quote = await quoteStore.getQuote(firestore, job.quoteNumber);
+                if (!quote) {
+                    return res.status(404).json({ error: 'Quote not found', quoteNumber: job.quoteNumber });
+                }
+                scheduled.push({ reference: job.quoteNumber, dueDate, optimization: quote.optimization || {} });
+                continue;
+            }
+            
+            let reference = job.reference || `job-${index + 1}`;
+            let items = job.items;
+            if (job.orderId) {
+                reference = String(job.orderId);
+                const order = await paradigm.get(`/api/SalesOrder/${encodeURIComponent(job.orderId)}`);
+                const mapped = cutlist.orderToItems(order, { coilWidth });
+                items = mapped.items;
+                if (mapped.skipped.length > 0) {
+                    skippedLines[reference] = mapped.skipped;
+                }
+            } else {
+                const itemError = await checkItems(items);
+                if (itemError) {
+                    return res.status(400).json({ ...itemError, job: reference });
+                }
+            }
+            
+            if (items.length > 0) {
+                scheduled.push({ reference, dueDate, optimization: optimizeCoil(items, { coilWidth, machines }).optimization });
+            }
+        }
+        
+        if (scheduled.every(job => Object.keys(job.optimization).length === 0)) {
+            return res.status(422).json({ error: 'Jobs have no panel or trim lines to run', skippedLines });
+        }
+        
+        const schedule = scheduler.scheduleJobs(scheduled, startDate ? { startDate, machines } : { machines });
+        logger.info(`Scheduled ${scheduled.length} jobs over ${schedule.summary.days} days, ${schedule.summary.changeovers} changeovers`);
+        res.json({ ...schedule, skippedLines });
+        
+    } catch (error) {
+        logger.error('Scheduling error:', error);
+        res.status(errorStatus(error)).json({ 
+            error: 'Failed to build schedule',
+            message: error.message 
+        });
+    }
+});
+
+// Machine registry: roll-formers, slitters and brakes with what they can run
+app.get('/api/machines', async (req, res) => {
+    try {
+        res.json(await machineRegistry.listMachines(firestore));
+        
+    } catch (error) {
+        logger.error('Machine fetch error:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch machines',
+            message: error.message 
+        });
+    }
+});
+
+// Add or update a machine; built-in machines are overridden by id
+app.put('/api/machines/:machineId', async (req, res) => {
+    try {
+        const errors = machineRegistry.validateMachine(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid machine', details: errors });
+        }
+        
+        const machine = await machineRegistry.saveMachine(firestore, req.params.machineId, req.body);
+        logger.info(`Saved machine ${machine.id}`);
+        res.json(machine);
+        
+    } catch (error) {
+        logger.error('Machine update error:', error);
+        res.status(500).json({ 
+            error: 'Failed to save machine',
+            message: error.message 
+        });
+    }
+});
+
+// Material cost table (cost per linear foot by coil SKU)
+app.get('/api/costs', async (req, res) => {
+    try {
+        const costs = await costTable.loadCostTable(firestore);
+        res.json({
+            defaultCostPerFoot: costTable.DEFAULT_COST_PER_FOOT,
+            costs
+        });
+        
+    } catch (error) {
+        logger.error('Cost table fetch error:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch cost table',
+            message: error.message 
+        });
+    }
+});
+
+// Set the cost per foot for a coil SKU or base code
+app.put('/api/costs/:sku', async (req, res) => {
+    try {
+        const costPerFoot = Number(req.body.costPerFoot);
+        if (!Number.isFinite(costPerFoot) || costPerFoot <= 0) {
+            return res.status(400).json({ error: 'costPerFoot must be a positive number' });
+        }
+        
+        const entry = await costTable.setCost(firestore, req.params.sku, costPerFoot);
+        if (!entry) {
+            return res.status(400).json({ error: 'Not a coil SKU', sku: req.params.sku });
+        }
+        
+        logger.info(`Set cost for ${entry.sku} to ${entry.costPerFoot}/ft`);
+        res.json(entry);
+        
+    } catch (error) {
+        logger.error('Cost update error:', error);
+        res.status(500).json({ 
+            error: 'Failed to update cost',
+            message: error.message 
+        });
+    }
+});
+
+// Seed the cost table from Paradigm inventory cost fields
+app.post('/api/costs/seed', async (req, res) => {
+    try {
+        const inventory = await getMetalRoofingInventory();
+        const seeded = await costTable.seedFromInventory(firestore, inventory);
+        
+        logger.info(`Seeded ${seeded.length} coil costs from Paradigm`);
+        res.json({ seeded: seeded.length, costs: seeded });
+        
+    } catch (error) {
+        logger.error('Cost seed error:', error);
+        res.status(errorStatus(error)).json({ 
+            error: 'Failed to seed cost table',
+            message: error.message 
+        });
+    }
+});
+
+// Every open Paradigm sales order with its lines, cached in Firestore for 10
+// minutes since it walks the whole order history. List rows that come back
+// without lines are fetched one by one, a few at a time. Orders are cached
+// slimmed to the line fields the backlog reads. Order numbers of rows
+// without a status come back in `unknownStatus`.
+async function getOpenSalesOrders() {
+    const cacheKey = 'sales_orders_open';
+    let entries = await readCache(firestore, cacheKey, 600000);
+    if (!entries) {
+        const rows = await paradigm.getAllPages((page, pageSize) => `/api/SalesOrder/${(page - 1) * pageSize}/${pageSize}`);
+        
+        // Rows without a status can't be told apart from old closed orders,
+        // they're reported rather than counted
+        entries = rows
+            .filter(row => purchasing.orderStatus(row) === 'unknown')
+            .map(row => ({ status: 'unknown', orderNumber: salesOrders.extractOrderNumber(row) || null }));
+        const open = rows.filter(row => purchasing.orderStatus(row) === 'open');
+        for (let i = 0; i < open.length; i += 3) {
+            entries.push(...await Promise.all(open.slice(i, i + 3).map(async row => {
+                const orderNumber = salesOrders.extractOrderNumber(row);
+                const order = cutlist.orderLines(row).length > 0 || !orderNumber
+                    ? row
+                    : await paradigm.get(`/api/SalesOrder/${encodeURIComponent(orderNumber)}`);
+                return { status: 'open', order: cutlist.slimOrder(order, orderNumber) };
+            })));
+        }
+        logger.info(`Fetched ${rows.length} sales orders from Paradigm, ${open.length} open`);
+        await writeCache(firestore, cacheKey, entries);
+    }
+    
+    return {
+        orders: entries.filter(entry => entry.status === 'open').map(entry => entry.order),
+        unknownStatus: entries.filter(entry => entry.status === 'unknown').map(entry => entry.orderNumber)
+    };
+}
+
+// Coil purchases to make now: open order backlog and quote reservations
+// against stock, per SKU with reorder points, min/max and lead times.
+// ?all=true lists SKUs that don't need ordering too.
+app.get('/api/purchasing/reorder', async (req, res) => {
+    try {
+        const coilWidth = Number(req.query.coilWidth) || 43.875;
+        
+        const [{ orders, unknownStatus }, inventory, reservations, settings] = await Promise.all([
+            getOpenSalesOrders(),
+            getMetalRoofingInventory(),
+            reservationStore.listReservations(firestore),
+            purchasing.loadSettings(firestore)
+        ]);
+        
+        const stock = new Map();
+        availability.buildStockIndex(inventory).forEach((entry, sku) => stock.set(sku, entry.onHandFeet));
+        
+        // Order reservations are already in the backlog, only quotes add to it
+        const quoteReserved = new Map();
+        reservations
+            .filter(reservation => !reservation.orderNumber)
+            .forEach(reservation => {
+                quoteReserved.set(reservation.sku, (quoteReserved.get(reservation.sku) || 0) + reservation.feet);
+            });
+        
+        const report = purchasing.suggestReorders({
+            orders,
+            stock,
+            quoteReserved,
+            settings,
+            coilWidth,
+            all: req.query.all === 'true'
+        });
+        
+        logger.info(`Reorder report: ${report.summary.critical} critical, ${report.summary.reorder} to reorder from ${orders.length} open orders`);
+        res.json({ ...report, unknownStatusOrders: unknownStatus });
+        
+    } catch (error) {
+        logger.error('Reorder report error:', error);
+        res.status(errorStatus(error)).json({ 
+            error: 'Failed to build reorder suggestions',
+            message: error.message 
+        });
+    }
+});
+
+// Saved reorder settings by coil SKU or base code, plus the defaults
+app.get('/api/purchasing/settings', async (req, res) => {
+    try {
+        res.json({
+            defaults: BUSINESS_CONFIG.purchasing,
+            settings: await purchasing.loadSettings(firestore)
+        });
+        
+    } catch (error) {
+        logger.error('Reorder settings fetch error:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch reorder settings',
+            message: error.message 
+        });
+    }
+});
+
+// Set reorder point, min/max, lead time, usage and supplier for a coil SKU
+// or a whole base code
+app.put('/api/purchasing/settings/:sku', async (req, res) => {
+    try {
+        const errors = purchasing.validateSettings(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid reorder settings', details: errors });
+        }
+        
+        const entry = await purchasing.saveSettings(firestore, req.params.sku, req.body);
+        if (!entry) {
+            return res.status(400).json({ error: 'Not a coil SKU', sku: req.params.sku });
+        }
+        
+        logger.info(`Saved reorder settings for ${entry.sku}`);
+        res.json(entry);
+        
+    } catch (error) {
+        logger.error('Reorder settings update error:', error);
+        res.status(500).json({ 
+            error: 'Failed to save reorder settings',
+            message: error.message 
+        });
+    }
+});
+
+// Price lists, built-in and custom
+app.get('/api/price-lists', async (req, res) => {
+    try {
+        res.json(await pricing.listPriceLists(firestore));
+        
+    } catch (error) {
+        logger.error('Price list fetch error:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch price lists',
+            message: error.message 
+        });
+    }
+});
+
+// Create or update a custom price list
+app.put('/api/price-lists/:name', async (req, res) => {
+    try {
+        const errors = pricing.validateRules(req.body.rules);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid price list', details: errors });
+        }
+        
+        const list = await pricing.savePriceList(firestore, req.params.name, req.body.rules);
+        logger.info(`Saved price list ${list.name}`);
+        res.json(list);
+        
+    } catch (error) {
+        logger.error('Price list update error:', error);
+        res.status(500).json({ 
+            error: 'Failed to save price list',
+            message: error.message 
+        });
+    }
+});
+
+// Trim profiles with their stretch-out width in every gauge
+app.get('/api/trim-profiles', async (req, res) => {
+    try {
+        const profiles = await trimProfiles.listTrimProfiles(firestore);
+        res.json(Object.values(profiles).map(profile => ({
+            ...profile,
+            stretchOut: BUSINESS_CONFIG.gauges.map(gauge => trimProfiles.stretchOut(profile, gauge))
+        })));
+        
+    } catch (error) {
+        logger.error('Trim profile fetch error:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch trim profiles',
+            message: error.message 
+        });
+    }
+});
+
+// Create or update a trim profile
+app.put('/api/trim-profiles/:profileId', async (req, res) => {
+    try {
+        const errors = trimProfiles.validateProfile(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid trim profile', details: errors });
+        }
+        
+        const profile = await trimProfiles.saveTrimProfile(firestore, req.params.profileId, req.body);
+        logger.info(`Saved trim profile ${profile.id}`);
+        res.json({
+            ...profile,
+            stretchOut: BUSINESS_CONFIG.gauges.map(gauge => trimProfiles.stretchOut(profile, gauge))
+        });
+        
+    } catch (error) {
+        logger.error('Trim profile update error:', error);
+        res.status(500).json({ 
+            error: 'Failed to save trim profile',
+            message: error.message 
+        });
+    }
+});
+
+// Assign a customer to a price list, with optional per-customer rules
+app.put('/api/customers/:customerId/pricing', async (req, res) => {
+    try {
+        const { priceList, rules } = req.body;
+        
+        if (rules) {
+            const errors = pricing.validateRules(rules);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid pricing rules', details: errors });
+            }
+        }
+        
+        if (priceList) {
+            const lists = await pricing.listPriceLists(firestore);
+            if (!lists[priceList]) {
+                return res.status(400).json({ error: 'Unknown price list', priceList });
+            }
+        }
+        
+        const customerPricing = await pricing.setCustomerPricing(firestore, req.params.customerId, { priceList, rules });
+        logger.info(`Customer ${req.params.customerId} assigned to price list ${customerPricing.priceList}`);
+        res.json(customerPricing);
+        
+    } catch (error) {
+        logger.error('Customer pricing update error:', error);
+        res.status(500).json({ 
+            error: 'Failed to update customer pricing',
+            message: error.message 
+        });
+    }
+});
+
+// Reserve coil footage for a quote or sales order. Takes lines of
+// { sku, feet }, or just a quoteNumber to reserve what the quote's
+// optimization needs. All lines are reserved or none are. Reserving a quote
+// again replaces its earlier reservations.
+app.post('/api/reservations', async (req, res) => {
+    try {
+        const errors = reservationStore.validateReservation(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid reservation', details: errors });
+        }
+        
+        // Ordered, expired or unconfirmed quotes have nothing left to hold
+        const quote = req.body.quoteNumber ? await quoteStore.getQuote(firestore, req.body.quoteNumber) : null;
+        if (req.body.quoteNumber && !quote) {
+            return res.status(404).json({ error: 'Quote not found' });
+        }
+        if (quote && quote.status !== 'open') {
+            return res.status(409).json({ error: `Quote is ${quote.status}, only open quotes can be reserved` });
+        }
+        
+        let { lines } = req.body;
+        if (!lines) {
+            lines = reservationStore.quoteLines(quote);
+            if (lines.length === 0) {
+                return res.status(422).json({ error: 'Quote has no coil to reserve' });
+            }
+            // Groups without a color or on a non-standard width have no coil SKU to hold
+            const unreservable = lines.filter(line => !reservationStore.isReservableSku(line.sku));
+            if (unreservable.length > 0) {
+                return res.status(422).json({
+                    error: 'Quote has coil that can\'t be reserved',
+                    groups: unreservable.map(line => ({ sku: line.sku, groups: line.groups }))
+                });
+            }
+        }
+        
+        const stock = availability.buildStockIndex(await getMetalRoofingInventory());
+        const result = await reservationStore.createReservations(firestore, { ...req.body, lines }, sku =>
+            (stock.get(sku) || { onHandFeet: 0 }).onHandFeet
+        );
+        if (result.shortages.length > 0) {
+            return res.status(409).json({ error: 'Not enough coil available to reserve', shortages: result.shortages });
+        }
+        
+        const reference = req.body.quoteNumber ? `quote ${req.body.quoteNumber}` : `order ${req.body.orderNumber}`;
+        logger.info(`Reserved ${result.reservations.map(r => `${r.feet} ft ${r.sku}`).join(', ')} for ${reference}`);
+        if (result.replaced.length > 0) {
+            logger.info(`Released ${result.replaced.length} earlier reservations for ${reference}`);
+        }
+        res.status(201).json(result.reservations);
+        
+    } catch (error) {
+        logger.error('Reservation create error:', error);
+        res.status(errorStatus(error)).json({ 
+            error: 'Failed to reserve coil',
+            message: error.message 
+        });
+    }
+});
+
+// List reservations, active by default, filterable by SKU, quote or order
+app.get('/api/reservations', async (req, res) => {
+    try {
+        const { status, sku, quoteNumber, orderNumber } = req.query;
+        if (status && !reservationStore.STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${reservationStore.STATUSES.join(', ')}` });
+        }
+        
+        res.json(await reservationStore.listReservations(firestore, { status, sku, quoteNumber, orderNumber }));
+        
+    } catch (error) {
+        logger.error('Reservation list error:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch reservations',
+            message: error.message 
+        });
+    }
+});
+
+// Release a reservation once the job is cut or called off
+app.post('/api/reservations/:id/release', async (req, res) => {
+    try {
+        const result = await reservationStore.releaseReservation(firestore, req.params.id, req.body.reason);
+        if (!result.reservation) {
+            return res.status(404).json({ error: 'Reservation not found' });
+        }
+        if (!result.released) {
+            return res.status(409).json({ error: `Reservation is ${result.reservation.status}` });
+        }
+        
+        logger.info(`Released reservation ${req.params.id} (${result.reservation.feet} ft ${result.reservation.sku})`);
+        res.json(result.reservation);
+        
+    } catch (error) {
+        logger.error('Reservation release error:', error);
+        res.status(500).json({ 
+            error: 'Failed to release reservation',
+            message: error.message 
+        });
+    }
+});
+
+// Receive a coil into inventory by tag number
+app.post('/api/coils', async (req, res) => {
+    try {
+        const errors = coilStore.validateCoil(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid coil', details: errors });
+        }
+        
+        if (await coilStore.getCoil(firestore, String(req.body.tag))) {
+            return res.status(409).json({ error: 'Coil tag already exists', tag: req.body.tag });
+        }
+        
+        const coil = await coilStore.createCoil(firestore, req.body);
+        logger.info(`Received coil ${coil.tag} (${coil.sku})`);
+        res.status(201).json(coil);
+        
+    } catch (error) {
+        logger.error('Coil create error:', error);
+        res.status(500).json({ 
+            error: 'Failed to record coil',
+            message: error.message 
+        });
+    }
+});
+
+// List coils on hand, filterable by status and SKU
+app.get('/api/coils', async (req, res) => {
+    try {
+        const { status, sku } = req.query;
+        res.json(await coilStore.listCoils(firestore, { status, sku }));
+        
+    } catch (error) {
+        logger.error('Coil list error:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch coils',
+            message: error.message 
+        });
+    }
+});
+
+// Update remaining footage, weight, location or status of a coil
+app.patch('/api/coils/:tag', async (req, res) => {
+    try {
+        const { status, remainingFeet, weightLbs } = req.body;
+        
+        if (status !== undefined && !coilStore.STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${coilStore.STATUSES.join(', ')}` });
+        }
+        if ((remainingFeet !== undefined && !(Number(remainingFeet) >= 0)) ||
+            (weightLbs !== undefined && !(Number(weightLbs) >= 0))) {
+            return res.status(400).json({ error: 'remainingFeet and weightLbs must be zero or more' });
+        }
+        
+        const coil = await coilStore.updateCoil(firestore, req.params.tag, req.body);
+        if (!coil) {
+            return res.status(404).json({ error: 'Coil not found' });
+        }
+        
+        logger.info(`Updated coil ${coil.tag}`);
+        res.json(coil);
+        
+    } catch (error) {
+        logger.error('Coil update error:', error);
+        res.status(500).json({ 
+            error: 'Failed to update coil',
+            message: error.message 
+        });
+    }
+});
+
+// Record a coil remnant (drop) left over from a job
+app.post('/api/remnants', async (req, res) => {
+    try {
+        const errors = remnantStore.validateRemnant(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid remnant', details: errors });
+        }
+        
+        const remnant = await remnantStore.createRemnant(firestore, req.body);
+        logger.info(`Recorded remnant ${remnant.id} (${remnant.width}" x ${remnant.length}' ${remnant.color})`);
+        res.status(201).json(remnant);
+        
+    } catch (error) {
+        logger.error('Remnant create error:', error);
+        res.status(500).json({ 
+            error: 'Failed to record remnant',
+            message: error.message 
+        });
+    }
+});
+
+// List remnants, filterable by status, color, gauge and minimum width
+app.get('/api/remnants', async (req, res) => {
+    try {
+        const { status, color, gauge, minWidth } = req.query;
+        const remnants = await remnantStore.listRemnants(firestore, { status, color, gauge, minWidth });
+        res.json(remnants);
+        
+    } catch (error) {
+        logger.error('Remnant list error:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch remnants',
+            message: error.message 
+        });
+    }
+});
+
+// Retire a remnant once it has been used up or scrapped
+app.post('/api/remnants/:id/retire', async (req, res) => {
+    try {
+        const remnant = await remnantStore.retireRemnant(firestore, req.params.id, req.body.reason);
+        if (!remnant) {
+            return res.status(404).json({ error: 'Remnant not found' });
+        }
+        
+        logger.info(`Retired remnant ${remnant.id}`);
+        res.json(remnant);
+        
+    } catch (error) {
+        logger.error('Remnant retire error:', error);
+        res.status(500).json({ 
+            error: 'Failed to retire remnant',
+            message: error.message 
+        });
+    }
+});
+
+// Get orders from Paradigm
+app.get('/api/orders', async (req, res) => {
+    try {
+        const { skip = 0, take = 100 } = req.query;
+        
+        const orders = await paradigm.get(`/api/SalesOrder/${skip}/${take}`);
+        
+        logger.info(`Fetched ${orders.length} orders`);
+        res.json(orders);
+        
+    } catch (error) {
+        logger.error('Orders fetch error:', error);
+        res.status(errorStatus(error)).json({ 
+            error: 'Failed to fetch orders',
+            message: error.message 
+        });
+    }
+});
+
+// Shop cut list for one Paradigm sales order, grouped by coil
+app.get('/api/orders/:orderId/cutlist', async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const { coilWidth = 43.875, useRemnants = 'true' } = req.query;
+        
+        let order;
+        try {
+            order = await paradigm.get(`/api/SalesOrder/${encodeURIComponent(orderId)}`);
+        } catch (orderError) {
+            if (orderError.response && orderError.response.status === 404) {
+                return res.status(404).json({ error: 'Order not found', orderId });
+            }
+            throw orderError;
+        }
+        
+        const { items, skipped } = cutlist.orderToItems(order, { coilWidth: Number(coilWidth) });
+        if (items.length === 0) {
+            return res.status(422).json({ error: 'Order has no panel or trim lines to cut', orderId, skipped });
+        }
+        
+        const options = await loadOptimizerOptions({ coilWidth, useRemnants: useRemnants !== 'false' });
+        const result = optimizeCoil(items, options);
+        
+        logger.info(`Built cut list for order ${orderId}: ${items.length} lines, ${skipped.length} skipped`);
+        res.json({
+            orderId,
+            coils: cutlist.buildCutList(result),
+            skippedLines: skipped,
+            summary: {
+                totalLinearFeet: result.summary.totalLinearFeet,
+                totalWithScrap: result.summary.totalWithScrap,
+                totalCoilsNeeded: result.summary.totalCoilsNeeded,
+                remnantsUsed: result.summary.remnantsUsed,
+                coilWidth: result.summary.coilWidth
+            }
+        });
+        
+    } catch (error) {
+        logger.error('Cut list error:', error);
+        res.status(errorStatus(error)).json({ 
+            error: 'Failed to build cut list',
+            message: error.message 
+        });
+    }
+});
+
+// Create a sales order in Paradigm, returns its order number
+async function createParadigmSalesOrder(order) {
+    const response = await paradigm.post('/api/SalesOrder', order);
+    
+    const orderNumber = salesOrders.extractOrderNumber(response);
+    if (!orderNumber) {
+        throw new Error('Paradigm did not return an order number');
+    }
+    return orderNumber;
+}
+
+// Bookkeeping for an order Paradigm already took, retried a few times.
+// Returns a description of the failure if every attempt failed, else null.
+async function retryBookkeeping(description, task, attempts = 3) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await task();
+            return null;
+        } catch (error) {
+            if (attempt >= attempts) {
+                logger.error(`${description} failed after ${attempts} attempts:`, error.message);
+                return `${description} failed: ${error.message}`;
+            }
+            logger.warn(`${description} failed, retry ${attempt}:`, error.message);
+            await new Promise(resolve => setTimeout(resolve, 250 * attempt));
+        }
+    }
+}
+
+// Paradigm answered the order with a refusal, or it was never sent (circuit
+// open, login failed). Timeouts, 5xx and missing order numbers prove nothing.
+function paradigmRefused(error) {
+    if (error instanceof ParadigmUnavailableError || error.code === 'PARADIGM_AUTH_FAILED') {
+        return true;
+    }
+    const status = error.response && error.response.status;
+    return status >= 400 && status < 500;
+}
+
+// Move a quote's reservations to its Paradigm order and record the order.
+// Returns the failures, if any.
+async function recordQuoteOrder(quote, orderNumber, paradigmCustomerId) {
+    const { quoteNumber } = quote;
+    return [
+        await retryBookkeeping(`Moving reservations for quote ${quoteNumber} to order ${orderNumber}`, () =>
+            reservationStore.transferToOrder(firestore, quoteNumber, orderNumber)),
+        await retryBookkeeping(`Recording sales order ${orderNumber}`, () =>
+            salesOrders.recordSalesOrder(firestore, {
+                paradigmOrderNumber: orderNumber,
+                paradigmCustomerId,
+                quoteNumber,
+                lineItems: quote.lineItems,
+                sellPrice: quote.summary.pricing.sellPrice
+            }))
+    ].filter(Boolean);
+}
+
+// Convert an open quote into a Paradigm sales order
+app.post('/api/quotes/:quoteNumber/order', async (req, res) => {
+    const { quoteNumber } = req.params;
+    let claimed = false;
+    
+    try {
+        const claim = await quoteStore.claimQuoteForOrder(firestore, quoteNumber);
+        if (!claim.quote) {
+            return res.status(404).json({ error: 'Quote not found' });
+        }
+        if (!claim.claimed) {
+            return res.status(409).json({ 
+                error: `Quote is ${claim.quote.status}`,
+                paradigmOrderNumber: claim.quote.paradigmOrderNumber || null 
+            });
+        }
+        claimed = true;
+        
+        const { quote } = claim;
+        const paradigmCustomerId = req.body.paradigmCustomerId || quote.customer.id;
+        if (!paradigmCustomerId) {
+            await quoteStore.releaseQuote(firestore, quoteNumber);
+            return res.status(400).json({ error: 'paradigmCustomerId is required for quotes without a customer id' });
+        }
+        
+        const lineErrors = salesOrders.validateOrderLines(quote.lineItems);
+        if (lineErrors.length > 0) {
+            await quoteStore.releaseQuote(firestore, quoteNumber);
+            return res.status(400).json({ error: 'Invalid order lines', details: lineErrors });
+        }
+        
+        let orderNumber;
+        try {
+            orderNumber = await createParadigmSalesOrder(salesOrders.buildSalesOrder({
+                paradigmCustomerId,
+                customerPO: req.body.customerPO,
+                reference: quoteNumber,
+                lineItems: quote.lineItems,
+                notes: quote.notes
+            }));
+        } catch (orderError) {
+            // Only a refusal proves Paradigm never took the order; those fall
+            // through to the catch below and reopen the quote
+            if (!paradigmRefused(orderError)) {
+                claimed = false;
+                logger.error(`Order for quote ${quoteNumber} not confirmed by Paradigm:`, orderError.message);
+                const warning = await retryBookkeeping(`Marking quote ${quoteNumber} order unconfirmed`, () =>
+                    quoteStore.markOrderUnconfirmed(firestore, quoteNumber, { reason: orderError.message, paradigmCustomerId }));
+                return res.status(orderError instanceof ParadigmUnavailableError ? 503 : 502).json({
+                    error: 'Paradigm did not confirm the sales order, check Paradigm and reconcile the quote before ordering again',
+                    status: 'order-unconfirmed',
+                    message: orderError.message,
+                    ...(warning ? { warnings: [warning] } : {})
+                });
+            }
+            throw orderError;
+        }
+        
+        // Paradigm has the order now; reopening the quote would let it be
+        // ordered twice, so bookkeeping failures from here on are only reported
+        claimed = false;
+        const warnings = [
+            await retryBookkeeping(`Marking quote ${quoteNumber} ordered as ${orderNumber}`, () =>
+                quoteStore.completeQuoteOrder(firestore, quoteNumber, orderNumber)),
+            ...await recordQuoteOrder(quote, orderNumber, paradigmCustomerId)
+        ].filter(Boolean);
+        
+        logger.info(`Quote ${quoteNumber} ordered as Paradigm order ${orderNumber}`);
+        res.status(201).json({ quoteNumber, paradigmOrderNumber: orderNumber, ...(warnings.length > 0 ? { warnings } : {}) });
+        
+    } catch (error) {
+        logger.error('Quote order error:', error);
+        if (claimed) {
+            await quoteStore.releaseQuote(firestore, quoteNumber).catch(releaseError => {
+                logger.error(`Failed to release quote ${quoteNumber}:`, releaseError.message);
+            });
+        }
+        res.status(errorStatus(error)).json({ 
+            error: 'Failed to create sales order',
+            message: error.message 
+        });
+    }
+});
+
+// Settle a quote whose order Paradigm didn't confirm. With the
+// paradigmOrderNumber found in Paradigm the quote is marked ordered; without
+// one (Paradigm has no such order) it's open to order again.
+app.post('/api/quotes/:quoteNumber/reconcile', async (req, res) => {
+    try {
+        const { quoteNumber } = req.params;
+        const { paradigmOrderNumber } = req.body;
+        
+        const result = await quoteStore.reconcileQuoteOrder(firestore, quoteNumber, paradigmOrderNumber);
+        if (!result.quote) {
+            return res.status(404).json({ error: 'Quote not found' });
+        }
+        if (!result.reconciled) {
+            return res.status(409).json({ error: `Quote is ${result.quote.status}, not awaiting reconciliation` });
+        }
+        
+        const { quote } = result;
+        const warnings = paradigmOrderNumber
+            ? await recordQuoteOrder(quote, quote.paradigmOrderNumber, quote.paradigmCustomerId || quote.customer.id)
+            : [];
+        
+        logger.info(paradigmOrderNumber
+            ? `Quote ${quoteNumber} reconciled to Paradigm order ${quote.paradigmOrderNumber}`
+            : `Quote ${quoteNumber} reopened, Paradigm has no order for it`);
+        res.json({ quoteNumber, status: quote.status, paradigmOrderNumber: quote.paradigmOrderNumber || null, ...(warnings.length > 0 ? { warnings } : {}) });
+        
+    } catch (error) {
+        logger.error('Quote reconcile error:', error);
+        res.status(500).json({ 
+            error: 'Failed to reconcile quote',
+            message: error.message 
+        });
+    }
+});
+
+// Create a Paradigm sales order straight from items, without a saved quote
+app.post('/api/orders', async (req, res) => {
+    try {
+        const { items, paradigmCustomerId, customerPO, notes } = req.body;
+        
+        if (!paradigmCustomerId) {
+            return res.status(400).json({ error: 'paradigmCustomerId is required' });
+        }
+        
+        const itemError = await checkItems(items);
+        if (itemError) {
+            return res.status(400).json(itemError);
+        }
+        
+        const lineErrors = salesOrders.validateOrderLines(items);
+        if (lineErrors.length > 0) {
+            return res.status(400).json({ error: 'Invalid order lines', details: lineErrors });
+        }
+        
+        // As with quotes, remnants aren't held for the order unless asked for
+        const options = await loadOptimizerOptions({ ...req.body, useRemnants: req.body.useRemnants === true });
+        if (!options.priceList) {
+            return res.status(400).json({ error: 'Unknown price list', priceList: req.body.priceList });
+        }
+        const result = optimizeCoil(items, options);
+        
+        const orderNumber = await createParadigmSalesOrder(salesOrders.buildSalesOrder({
+            paradigmCustomerId,
+            customerPO,
+            lineItems: result.lineItems,
+            notes
+        }));
+        
+        const record = await salesOrders.recordSalesOrder(firestore, {
+            paradigmOrderNumber: orderNumber,
+            paradigmCustomerId,
+            quoteNumber: null,
+            lineItems: result.lineItems,
+            sellPrice: result.summary.pricing.sellPrice
+        });
+        
+        logger.info(`Created Paradigm order ${orderNumber}`);
+        res.status(201).json({ paradigmOrderNumber: orderNumber, record, summary: result.summary });
+        
+    } catch (error) {
+        logger.error('Order create error:', error);
+        res.status(errorStatus(error)).json({ 
+            error: 'Failed to create sales order',
+            message: error.message 
+        });
+    }
+});
+
+// Test endpoint for optimization with sample data
+app.get('/api/test/optimize', async (req, res) => {
+    const sampleItems = [
+        {
+            productId: 'A4AG',
+            description: '24ga Ag Panel (Ash Gray)',
+            color: 'Ash Gray',
+            gauge: 24,
+            quantity: 45,
+            length: 16,
+            width: 43.875
+        },
+        {
+            productId: 'RIDGE-AG',
+            description: 'Ridge Cap (Ash Gray)',
+            color: 'Ash Gray',
+            gauge: 24,
+            quantity: 15,
+            length: 10,
+            width: 14
+        },
+        {
+            productId: 'HIP-AG',
+            description: 'Hip Cap (Ash Gray)',
+            color: 'Ash Gray',
+            gauge: 24,
+            quantity: 20,
+            length: 10,
+            width: 10
+        }
+    ];
+    
+    // Call optimize with sample data
+    try {
+        res.json({
+            message: 'Test optimization with sample data',
+            ...optimizeCoil(sampleItems, { coilWidth: 43.875 })
         });
     } catch (error) {
         res.status(500).json({ error: error.message });